@@ -0,0 +1,82 @@
+// api/errors.js - One error format for every route
+//
+// Every failed request gets the same body:
+//
+//   { success: false, error: 'Human-readable message', code: 'MACHINE_CODE', ...extra }
+//
+// Routes throw an ApiError (or pass one to next()) and errorHandler writes
+// it. `extra` carries fields particular to an error, such as `details` for
+// validation failures or `retryAfter` for rate limits.
+
+// Code used when a route doesn't name a more specific one
+const DEFAULT_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  410: 'GONE',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  502: 'PROVIDER_UNAVAILABLE'
+};
+
+class ApiError extends Error {
+  constructor(status, message, { code, ...extra } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code || DEFAULT_CODES[status] || DEFAULT_CODES[status >= 500 ? 500 : 400];
+    this.extra = extra;
+  }
+}
+
+// Errors raised by express.json() and express.raw() before a route runs
+function fromBodyParserError(error) {
+  if (error.type === 'entity.parse.failed') {
+    return new ApiError(400, 'Request body is not valid JSON', { code: 'INVALID_JSON' });
+  }
+  if (error.type === 'entity.too.large') {
+    return new ApiError(413, `Request body is larger than the ${error.limit} byte limit`);
+  }
+  if (error.type === 'encoding.unsupported' || error.type === 'charset.unsupported') {
+    return new ApiError(415, error.message);
+  }
+  return new ApiError(error.status, error.message);
+}
+
+function errorBody(error) {
+  return { success: false, error: error.message, code: error.code, ...error.extra };
+}
+
+// Express error handler - register after every route
+function errorHandler(error, req, res, next) {
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  let apiError = error;
+  if (!(error instanceof ApiError)) {
+    const status = error.status || error.statusCode;
+    if (error.type && status >= 400 && status < 500) {
+      apiError = fromBodyParserError(error);
+    } else {
+      console.error(`Error handling ${req.method} ${req.originalUrl}:`, error);
+      apiError = new ApiError(500, 'Something went wrong');
+    }
+  }
+
+  if (apiError.extra.retryAfter) {
+    res.set('Retry-After', String(apiError.extra.retryAfter));
+  }
+  res.status(apiError.status).json(errorBody(apiError));
+}
+
+// Catch-all for requests no route matched
+function notFoundHandler(req, res, next) {
+  next(new ApiError(404, 'Route not found', { code: 'ROUTE_NOT_FOUND' }));
+}
+
+module.exports = { ApiError, DEFAULT_CODES, errorBody, errorHandler, notFoundHandler };
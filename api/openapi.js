@@ -0,0 +1,130 @@
+// api/openapi.js - OpenAPI 3.1 document built from the routes themselves
+//
+// Walks the app's router for /api routes and describes each from the
+// validate() spec in its middleware, so the document can't drift from what
+// the server actually checks. Which routes need credentials is read the same
+// way: a route is secured by a scheme when that scheme's middleware is in its
+// stack.
+
+const { DEFAULT_CODES } = require('./errors');
+
+const ERROR_SCHEMA = {
+  type: 'object',
+  required: ['success', 'error', 'code'],
+  properties: {
+    success: { type: 'boolean', enum: [false] },
+    error: { type: 'string', description: 'Human-readable message' },
+    code: {
+      type: 'string',
+      description: `Machine-readable code. Besides the general ones (${Object.values(DEFAULT_CODES).join(', ')}) routes may return more specific codes.`
+    },
+    details: {
+      type: 'array',
+      description: 'Each problem found when code is VALIDATION_FAILED',
+      items: {
+        type: 'object',
+        properties: { path: { type: 'string' }, message: { type: 'string' } }
+      }
+    }
+  }
+};
+
+// '/api/expenses/:id' -> '/api/expenses/{id}'
+function openApiPath(path) {
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+function pathParameters(path, schema) {
+  const names = (path.match(/:(\w+)/g) || []).map(name => name.slice(1));
+  return names.map(name => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: (schema && schema.properties && schema.properties[name]) || { type: 'string' }
+  }));
+}
+
+function queryParameters(schema) {
+  return Object.entries((schema && schema.properties) || {}).map(([name, property]) => ({
+    name,
+    in: 'query',
+    required: (schema.required || []).includes(name),
+    ...(property.description ? { description: property.description } : {}),
+    schema: property
+  }));
+}
+
+function requestBody(spec) {
+  if (spec.bodyType) {
+    const binary = { type: 'string', format: 'binary' };
+    return {
+      required: true,
+      content: Object.fromEntries([].concat(spec.bodyType).map(type => [type, { schema: binary }]))
+    };
+  }
+  if (spec.body) {
+    return {
+      required: Boolean(spec.body.required && spec.body.required.length > 0),
+      content: { 'application/json': { schema: spec.body } }
+    };
+  }
+  return undefined;
+}
+
+// `securitySchemes` maps a scheme name to its OpenAPI definition plus the
+// `middleware` that enforces it
+function buildOpenApiDocument(app, { info, servers, securitySchemes = {} }) {
+  const paths = {};
+
+  app.router.stack
+    .filter(layer => layer.route && typeof layer.route.path === 'string' && layer.route.path.startsWith('/api/'))
+    .forEach(layer => {
+      const { route } = layer;
+      const handlers = route.stack.map(l => l.handle);
+      const spec = (handlers.find(handler => handler.apiSpec) || {}).apiSpec || {};
+      const security = Object.entries(securitySchemes)
+        .filter(([, scheme]) => handlers.includes(scheme.middleware))
+        .map(([name]) => ({ [name]: [] }));
+      const path = openApiPath(route.path);
+      const segment = route.path.split('/')[2];
+
+      Object.keys(route.methods).filter(method => method !== '_all').forEach(method => {
+        const operation = {
+          tags: [segment],
+          summary: spec.summary,
+          ...(spec.description ? { description: spec.description } : {}),
+          parameters: [...pathParameters(route.path, spec.params), ...queryParameters(spec.query)],
+          requestBody: requestBody(spec),
+          responses: {
+            [spec.status || 200]: { description: 'Success' },
+            default: { $ref: '#/components/responses/Error' }
+          },
+          security
+        };
+        Object.keys(operation)
+          .filter(key => operation[key] === undefined)
+          .forEach(key => delete operation[key]);
+
+        paths[path] = { ...(paths[path] || {}), [method]: operation };
+      });
+    });
+
+  return {
+    openapi: '3.1.0',
+    info,
+    servers,
+    paths,
+    components: {
+      securitySchemes: Object.fromEntries(Object.entries(securitySchemes).map(([name, { middleware, ...scheme }]) => [name, scheme])),
+      schemas: { Error: ERROR_SCHEMA },
+      responses: {
+        Error: {
+          description: 'The request failed',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        }
+      }
+    }
+  };
+}
+
+module.exports = { buildOpenApiDocument };
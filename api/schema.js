@@ -0,0 +1,181 @@
+// api/schema.js - Request schemas and the validator that checks them
+//
+// Schemas are plain JSON Schema objects, so the OpenAPI document can use them
+// as they are. The builders below only save typing. The validator supports
+// the subset the routes use: type (one or a list), enum, minLength,
+// maxLength, pattern, format ('email', 'date', 'date-time'), minimum,
+// maximum, items, minItems, maxItems, properties, required,
+// additionalProperties (false only) and anyOf. minLength ignores leading and
+// trailing whitespace, so '  ' is not a name.
+
+const string = (options = {}) => ({ type: 'string', ...options });
+const integer = (options = {}) => ({ type: 'integer', ...options });
+const number = (options = {}) => ({ type: 'number', ...options });
+const boolean = (options = {}) => ({ type: 'boolean', ...options });
+const array = (items, options = {}) => ({ type: 'array', items, ...options });
+const object = (properties, options = {}) => ({ type: 'object', properties, ...options });
+const anyOf = (schemas, options = {}) => ({ anyOf: schemas, ...options });
+const nullable = schema => ({ ...schema, type: [schema.type, 'null'] });
+
+// Common shapes
+const id = string({ minLength: 1, maxLength: 100 });
+const dateOnly = string({ format: 'date', description: 'YYYY-MM-DD' });
+const currencyCode = string({ pattern: '^[A-Za-z]{3}$', description: 'a three-letter ISO 4217 currency code' });
+const cents = integer({ minimum: 0, description: 'Minor units of the currency (cents)' });
+
+const FORMATS = {
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(`${value}T00:00:00Z`)),
+  'date-time': value => !isNaN(new Date(value))
+};
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number' && Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'a whole number',
+  number: 'a number',
+  boolean: 'true or false',
+  array: 'a list',
+  object: 'an object',
+  null: 'null'
+};
+
+// Query strings and path parameters arrive as text; read them as the type
+// the schema asks for so "5" passes as an integer and "true" as a boolean
+function coerce(value, schema) {
+  const types = [].concat(schema.type || []);
+  if (types.includes('array') && !Array.isArray(value) && value !== undefined) {
+    return [value];
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+  if ((types.includes('integer') || types.includes('number')) && /^-?\d+(\.\d+)?$/.test(value.trim())) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+// Check `value` against `schema`. Returns a list of { path, message }, empty
+// when it is valid. `path` names the value in messages, e.g. 'body.amount'.
+function validateValue(schema, value, path, { coerceText = false } = {}) {
+  const errors = [];
+  const fail = message => errors.push({ path, message: `${path} ${message}` });
+
+  if (coerceText) {
+    value = coerce(value, schema);
+  }
+
+  if (schema.anyOf) {
+    const passes = schema.anyOf.some(option => validateValue(option, value, path, { coerceText }).length === 0);
+    if (!passes) {
+      fail(schema.description ? `must be ${schema.description}` : 'is not in an accepted form');
+    }
+    return errors;
+  }
+
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    fail(`must be ${types.map(type => TYPE_NAMES[type]).join(' or ')}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of: ${schema.enum.join(', ')}`);
+    return errors;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(schema.description ? `must be ${schema.description}` : 'is not in the expected format');
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      fail(`must be a valid ${schema.format}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} ${schema.minItems === 1 ? 'entry' : 'entries'}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} entries`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateValue(schema.items, item, `${path}[${index}]`, { coerceText }));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(name => {
+      if (value[name] === undefined) {
+        errors.push({ path: `${path}.${name}`, message: `${path}.${name} is required` });
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([name, property]) => {
+      if (value[name] !== undefined) {
+        errors.push(...validateValue(property, value[name], `${path}.${name}`, { coerceText }));
+      }
+    });
+    if (schema.additionalProperties === false) {
+      Object.keys(value)
+        .filter(name => !(schema.properties || {})[name])
+        .forEach(name => errors.push({ path: `${path}.${name}`, message: `${path}.${name} is not allowed` }));
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  string,
+  integer,
+  number,
+  boolean,
+  array,
+  object,
+  anyOf,
+  nullable,
+  id,
+  dateOnly,
+  currencyCode,
+  cents,
+  validateValue
+};
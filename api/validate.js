@@ -0,0 +1,42 @@
+// api/validate.js - Route validation middleware
+//
+//   app.post('/api/things/:id', authenticateToken, validate({
+//     summary: 'Rename a thing',
+//     params: object({ id: schema.id }, { required: ['id'] }),
+//     body: object({ name: string({ minLength: 1 }) }, { required: ['name'] })
+//   }), handler)
+//
+// `params`, `query` and `body` are object schemas (see schema.js). Path and
+// query values are text, so they are checked as the type the schema asks for,
+// but handlers still see the original strings. Other fields only feed the
+// OpenAPI document: `summary`, `description`, `status` (the success status,
+// default 200) and `bodyType` (content types of a body that isn't JSON).
+
+const { ApiError } = require('./errors');
+const { validateValue } = require('./schema');
+
+function validate(spec) {
+  const middleware = (req, res, next) => {
+    // Without a JSON content type Express leaves the body undefined
+    if (spec.body && req.body === undefined) {
+      req.body = {};
+    }
+
+    const errors = [
+      ...(spec.params ? validateValue(spec.params, req.params, 'params', { coerceText: true }) : []),
+      ...(spec.query ? validateValue(spec.query, req.query, 'query', { coerceText: true }) : []),
+      ...(spec.body ? validateValue(spec.body, req.body, 'body') : [])
+    ];
+
+    if (errors.length > 0) {
+      return next(new ApiError(400, errors[0].message, { code: 'VALIDATION_FAILED', details: errors }));
+    }
+    next();
+  };
+
+  // Kept on the middleware for the OpenAPI document
+  middleware.apiSpec = spec;
+  return middleware;
+}
+
+module.exports = { validate };
@@ -0,0 +1,110 @@
+// import-export/csv.js - Reading and writing RFC 4180 CSV
+//
+// Fields may be quoted; quoted fields can hold commas, line breaks and
+// doubled quotes. Rows end with \n or \r\n.
+
+// Split CSV text into rows of string fields. Blank lines are dropped.
+// Each row carries the 1-based `line` it started on, for error messages.
+function parseCsv(text) {
+  const rows = [];
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== '') {
+      row.line = rowLine;
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line += 1;
+        }
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i += 1;
+      }
+      endRow();
+      line += 1;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+// Turn parsed rows into records keyed by the (trimmed) header row
+function toRecords(rows) {
+  if (rows.length === 0) {
+    return { header: [], records: [] };
+  }
+  const header = rows[0].map(name => name.trim());
+  const records = rows.slice(1).map(row => {
+    const values = {};
+    header.forEach((name, index) => {
+      values[name] = row[index] === undefined ? '' : row[index].trim();
+    });
+    return { line: row.line, values };
+  });
+  return { header, records };
+}
+
+// Text that spreadsheets would run as a formula gets a leading apostrophe
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function formatField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One CSV line, including the line break
+function formatCsvRow(values) {
+  return values.map(formatField).join(',') + '\r\n';
+}
+
+// Undo formatField's formula guard when reading our own export back in
+function unguardField(text) {
+  return /^'[=+\-@]/.test(text) ? text.slice(1) : text;
+}
+
+module.exports = { parseCsv, toRecords, formatCsvRow, unguardField };
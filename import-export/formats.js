@@ -0,0 +1,291 @@
+// import-export/formats.js - Import and export file formats
+//
+// Every reader turns a file into import records of one shape, with money in
+// integer minor units:
+//
+//   { line, externalId, date, description, currency, amount,
+//     category, tags, notes, paidBy: { name, email }, payerAmount,
+//     participants: [{ name, email, phone, amount, amountPaid }],
+//     payers: [{ participant, amount }] | null }
+//
+// `paidBy` is who logged the expense and `payerAmount` their share. `payers`
+// says who paid the bill, with `participant` 'me' for paidBy or an index into
+// `participants`; null means paidBy paid it all. It returns
+// { records, errors, skipped }. `line` is the CSV line the record
+// starts on (for JSON, its 1-based position in `expenses`); errors and skipped
+// entries point at it. `externalId` identifies the record in its source so a
+// second import of the same file can be recognised.
+
+const { parseCsv, toRecords, unguardField } = require('./csv');
+
+// Our CSV export: one row per participant, expense columns repeated
+const SPLITEASE_CSV_COLUMNS = [
+  'expense_id', 'date', 'description', 'currency', 'amount', 'split_type', 'group',
+  'category', 'tags', 'notes',
+  'paid_by', 'paid_by_email', 'payer_amount', 'paid_by_contribution',
+  'participant', 'participant_email', 'participant_phone',
+  'participant_amount', 'participant_paid', 'participant_status', 'participant_contribution'
+];
+
+// Decimal text in major units ("12.34") to integer minor units, or NaN
+function toMinorUnits(value, decimals) {
+  const text = String(value).trim().replace(/,/g, '');
+  if (!/^-?\d+(\.\d+)?$/.test(text)) {
+    return NaN;
+  }
+  return Math.round(Number(text) * Math.pow(10, decimals));
+}
+
+// Integer minor units to decimal text in major units
+function fromMinorUnits(amount, decimals) {
+  return (amount / Math.pow(10, decimals)).toFixed(decimals);
+}
+
+function isDate(value) {
+  return typeof value === 'string' && value !== '' && !isNaN(new Date(value));
+}
+
+function missingColumns(header, required) {
+  return required.filter(name => !header.includes(name));
+}
+
+// Who paid, from what each person put towards the bill: `paidByAmount` for
+// paidBy and `participantAmounts` in participant order. Null when paidBy paid
+// all of it, as for files that don't say.
+function payersFrom(paidByAmount, participantAmounts) {
+  const payers = [
+    { participant: 'me', amount: paidByAmount },
+    ...participantAmounts.map((amount, index) => ({ participant: index, amount }))
+  ].filter(payer => payer.amount !== 0);
+  return payers.length === 1 && payers[0].participant === 'me' ? null : payers;
+}
+
+// A payer from our JSON export, which names them: paidBy is 'me', anyone else
+// is matched to a participant by name. Unknown names are left for the
+// importer to reject.
+function payerReference(payer, expense) {
+  if (payer.participant === 'me' || Number.isInteger(payer.participant)) {
+    return payer.participant;
+  }
+  const name = String(payer.name || '').trim().toLowerCase();
+  if (expense.paidBy && String(expense.paidBy.name || '').trim().toLowerCase() === name) {
+    return 'me';
+  }
+  const index = (expense.participants || []).findIndex(p => String(p.name || '').trim().toLowerCase() === name);
+  return index >= 0 ? index : payer.name;
+}
+
+// Our own CSV export. Rows are grouped into expenses by expense_id.
+// `currencyDecimals(currency)` gives the minor units of a currency.
+function readSpliteaseCsv(text, { currencyDecimals }) {
+  const { header, records: rows } = toRecords(parseCsv(text));
+  const missing = missingColumns(header, ['expense_id', 'date', 'description', 'currency', 'amount', 'payer_amount', 'participant', 'participant_amount']);
+  if (missing.length > 0) {
+    throw new Error(`Missing columns: ${missing.join(', ')}`);
+  }
+
+  const byExpense = new Map();
+  rows.forEach(row => {
+    const id = row.values.expense_id;
+    if (!byExpense.has(id)) {
+      byExpense.set(id, []);
+    }
+    byExpense.get(id).push(row);
+  });
+
+  const records = [];
+  const errors = [];
+
+  byExpense.forEach((group, id) => {
+    const first = group[0];
+    const v = first.values;
+    const currency = v.currency.toUpperCase();
+    const units = value => toMinorUnits(value, currencyDecimals(currency));
+
+    if (!id) {
+      errors.push({ line: first.line, error: 'expense_id is required' });
+      return;
+    }
+    const inconsistent = group.find(row =>
+      ['date', 'description', 'currency', 'amount', 'payer_amount', 'paid_by', 'paid_by_contribution'].some(name => row.values[name] !== v[name])
+    );
+    if (inconsistent) {
+      errors.push({ line: inconsistent.line, error: `Rows for expense ${id} disagree about the expense details` });
+      return;
+    }
+
+    records.push({
+      line: first.line,
+      externalId: id,
+      date: v.date,
+      description: unguardField(v.description),
+      currency,
+      amount: units(v.amount),
+      category: v.category || null,
+      tags: v.tags ? v.tags.split(';').map(tag => tag.trim()).filter(Boolean) : [],
+      notes: v.notes ? unguardField(v.notes) : null,
+      paidBy: { name: unguardField(v.paid_by || ''), email: v.paid_by_email || null },
+      payerAmount: units(v.payer_amount),
+      participants: group.map(row => ({
+        line: row.line,
+        name: unguardField(row.values.participant),
+        email: row.values.participant_email || null,
+        phone: row.values.participant_phone || null,
+        amount: units(row.values.participant_amount),
+        amountPaid: row.values.participant_paid ? units(row.values.participant_paid) : 0
+      })),
+      // Exports from before payer columns were added say nothing about payers
+      payers: header.includes('paid_by_contribution')
+        ? payersFrom(units(v.paid_by_contribution || '0'), group.map(row => units(row.values.participant_contribution || '0')))
+        : null
+    });
+  });
+
+  return { records, errors, skipped: [] };
+}
+
+// Our own JSON export: { expenses: [...] } with amounts already in minor units
+function readSpliteaseJson(data) {
+  if (!data || !Array.isArray(data.expenses)) {
+    throw new Error('Expected an object with an "expenses" array');
+  }
+
+  const records = data.expenses.map((expense, index) => ({
+    line: index + 1,
+    externalId: expense.id ? String(expense.id) : null,
+    date: expense.date || expense.createdAt,
+    description: expense.description,
+    currency: String(expense.currency || '').toUpperCase(),
+    amount: expense.amount,
+    category: expense.category || null,
+    tags: expense.tags || [],
+    notes: expense.notes || null,
+    paidBy: {
+      name: expense.paidBy ? expense.paidBy.name : '',
+      email: expense.paidBy ? expense.paidBy.email || null : null
+    },
+    payerAmount: expense.payerAmount,
+    participants: (expense.participants || []).map(p => ({
+      name: p.name,
+      email: p.email || null,
+      phone: p.phone || null,
+      amount: p.amount,
+      amountPaid: p.amountPaid || 0
+    })),
+    payers: Array.isArray(expense.payers)
+      ? expense.payers.map(payer => ({ participant: payerReference(payer, expense), amount: payer.amount }))
+      : null
+  }));
+
+  return { records, errors: [], skipped: [] };
+}
+
+// Splitwise "Export as spreadsheet" CSV: Date, Description, Category, Cost,
+// Currency, then one column per person holding their net for that row
+// (positive: they paid more than their share). `me` names the importer's
+// column; rows are logged by them, and skipped when their net is zero, as are
+// settle-up payments and the closing "Total balance" row. Only nets are in the
+// file, so those who owe are taken to have paid nothing, and those owed share
+// equally what is left of the cost and paid their share plus their net.
+function readSplitwiseCsv(text, { me, currencyDecimals }) {
+  const { header, records: rows } = toRecords(parseCsv(text));
+  const missing = missingColumns(header, ['Date', 'Description', 'Category', 'Cost', 'Currency']);
+  if (missing.length > 0) {
+    throw new Error(`Missing columns: ${missing.join(', ')}`);
+  }
+
+  const people = header.slice(header.indexOf('Currency') + 1).filter(Boolean);
+  const myColumn = people.find(name => name.toLowerCase() === String(me || '').trim().toLowerCase());
+  if (!myColumn) {
+    throw new Error(`Choose which person you are with "me": one of ${people.join(', ')}`);
+  }
+
+  const records = [];
+  const errors = [];
+  const skipped = [];
+  const seen = new Map();
+
+  rows.forEach(({ line, values }) => {
+    if (values.Description === 'Total balance' || (!values.Date && !values.Cost)) {
+      return;
+    }
+    if (values.Category === 'Payment') {
+      skipped.push({ line, reason: 'payment' });
+      return;
+    }
+
+    const currency = values.Currency.toUpperCase();
+    const units = value => toMinorUnits(value || '0', currencyDecimals(currency));
+    const cost = units(values.Cost);
+    const nets = people.map(name => ({ name, net: units(values[name]) }));
+
+    if (!isDate(values.Date) || !Number.isFinite(cost) || nets.some(n => !Number.isFinite(n.net))) {
+      errors.push({ line, error: 'Date, Cost and every person column must be valid' });
+      return;
+    }
+
+    if (nets.find(n => n.name === myColumn).net === 0) {
+      skipped.push({ line, reason: 'not-involved' });
+      return;
+    }
+    const owed = nets.filter(n => n.net < 0).reduce((sum, n) => sum - n.net, 0);
+    const due = nets.filter(n => n.net > 0).reduce((sum, n) => sum + n.net, 0);
+    if (owed !== due) {
+      errors.push({ line, error: `Shares don't balance: people are owed ${due} but owe ${owed}` });
+      return;
+    }
+    if (owed > cost) {
+      errors.push({ line, error: `People owe ${owed}, more than the cost of ${cost}` });
+      return;
+    }
+
+    // Each person's share and what they paid, in column order
+    const creditors = nets.filter(n => n.net > 0);
+    const leftOver = cost - owed;
+    const shares = nets
+      .filter(n => n.net !== 0)
+      .map(n => {
+        if (n.net < 0) {
+          return { name: n.name, share: -n.net, paid: 0 };
+        }
+        const index = creditors.indexOf(n);
+        const share = Math.floor(leftOver / creditors.length) + (index < leftOver % creditors.length ? 1 : 0);
+        return { name: n.name, share, paid: share + n.net };
+      });
+    const mine = shares.find(p => p.name === myColumn);
+    const others = shares.filter(p => p !== mine);
+    const participants = others
+      .map(p => ({ line, name: p.name, email: null, phone: null, amount: p.share, amountPaid: 0 }));
+
+    const key = [values.Date, values.Description, values.Cost, currency].join('|');
+    const occurrence = (seen.get(key) || 0) + 1;
+    seen.set(key, occurrence);
+
+    records.push({
+      line,
+      externalId: `${key}#${occurrence}`,
+      date: values.Date,
+      description: values.Description,
+      currency,
+      amount: cost,
+      category: null,
+      tags: [],
+      notes: null,
+      paidBy: { name: myColumn, email: null },
+      payerAmount: mine.share,
+      participants,
+      payers: payersFrom(mine.paid, others.map(p => p.paid))
+    });
+  });
+
+  return { records, errors, skipped };
+}
+
+module.exports = {
+  SPLITEASE_CSV_COLUMNS,
+  toMinorUnits,
+  fromMinorUnits,
+  readSpliteaseCsv,
+  readSpliteaseJson,
+  readSplitwiseCsv
+};
@@ -0,0 +1,250 @@
+// money/index.js - Splitting amounts and working out who owes what
+//
+// All money is integer minor units (cents). These functions only compute:
+// server.js checks the input and keeps the results on expenses and payment
+// links.
+
+// Convert a decimal amount in major units (e.g. 12.34) to integer cents.
+function toCents(value) {
+  return Math.round(Number(value) * 100);
+}
+
+// Split `total` cents in proportion to `weights` so the parts always sum to
+// exactly `total`. Each person first gets the floor of their exact share; the
+// leftover cents then go one at a time to the largest fractional remainders,
+// ties broken by position (earlier entries first). Callers list participants
+// in request order with the payer last, so leftover cents land on
+// participants before the payer.
+function allocateCents(total, weights) {
+  const weightSum = weights.reduce((a, b) => a + b, 0);
+  const exact = weights.map(w => total * w / weightSum);
+  const parts = exact.map(x => Math.floor(x));
+  let leftover = total - parts.reduce((a, b) => a + b, 0);
+
+  const order = exact
+    .map((x, index) => ({ index, remainder: Math.round((x - parts[index]) * 1e9) }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+
+  for (let i = 0; leftover > 0; i = (i + 1) % order.length) {
+    parts[order[i].index] += 1;
+    leftover -= 1;
+  }
+
+  return parts;
+}
+
+// Supported ways of dividing an expense. 'amount' is what the UI sends for
+// "By specific amounts"; 'itemized' splits receipt line items.
+const SPLIT_TYPES = ['equal', 'percentage', 'amount', 'shares', 'itemized'];
+const MAX_RECEIPT_ITEMS = 200;
+
+// Split a receipt: each item is divided equally between the people it is
+// assigned to, then tax and tip are shared in proportion to each person's
+// item subtotal. `assignedTo` lists participant indexes and/or 'payer'.
+// Rounding follows allocateCents, with the payer after every participant.
+// Returns { payerAmount, participantAmounts, breakdown, itemization } or
+// { error }; breakdown holds { subtotal, tax, tip } per participant with
+// the payer's last.
+function calculateItemizedSplit(total, participantCount, itemization) {
+  const { items, tax = 0, tip = 0 } = itemization || {};
+  const payerIndex = participantCount;
+
+  if (!Array.isArray(items) || items.length === 0 || items.length > MAX_RECEIPT_ITEMS) {
+    return { error: `An itemized split needs between 1 and ${MAX_RECEIPT_ITEMS} items` };
+  }
+  if (!Number.isInteger(tax) || tax < 0 || !Number.isInteger(tip) || tip < 0) {
+    return { error: 'Tax and tip must be non-negative whole numbers of cents' };
+  }
+
+  const subtotals = new Array(participantCount + 1).fill(0);
+  const cleanItems = [];
+
+  for (const [index, item] of items.entries()) {
+    const assignedTo = Array.isArray(item && item.assignedTo) ? item.assignedTo : [];
+    const people = [...new Set(assignedTo.map(a => (a === 'payer' ? payerIndex : a)))];
+    if (!item || typeof item.description !== 'string' || !item.description.trim()) {
+      return { error: `Item ${index + 1} needs a description` };
+    }
+    if (!Number.isInteger(item.amount) || item.amount <= 0) {
+      return { error: `Item ${index + 1} needs a positive whole number of cents` };
+    }
+    if (people.length === 0 || people.some(p => !Number.isInteger(p) || p < 0 || p > payerIndex)) {
+      return { error: `Item ${index + 1} must be assigned to participant indexes or 'payer'` };
+    }
+
+    people.sort((a, b) => a - b);
+    allocateCents(item.amount, people.map(() => 1)).forEach((cents, i) => {
+      subtotals[people[i]] += cents;
+    });
+    cleanItems.push({
+      description: item.description.trim(),
+      amount: item.amount,
+      assignedTo: people.map(p => (p === payerIndex ? 'payer' : p))
+    });
+  }
+
+  const itemsTotal = subtotals.reduce((a, b) => a + b, 0);
+  if (itemsTotal + tax + tip !== total) {
+    return { error: `Items, tax and tip must add up to the expense total of ${total} cents (got ${itemsTotal + tax + tip})` };
+  }
+
+  const taxShares = allocateCents(tax, subtotals);
+  const tipShares = allocateCents(tip, subtotals);
+  const breakdown = subtotals.map((subtotal, i) => ({ subtotal, tax: taxShares[i], tip: tipShares[i] }));
+  const amounts = breakdown.map(b => b.subtotal + b.tax + b.tip);
+
+  return {
+    payerAmount: amounts.pop(),
+    participantAmounts: amounts,
+    breakdown,
+    itemization: { items: cleanItems, tax, tip }
+  };
+}
+
+// Work out how much each person owes for an expense, in cents.
+// `participants` carry a `percentage`, `amount` (cents) or `shares` field
+// depending on the split type; `payerShare` is the same field for the person
+// who paid. Itemized splits take { items, tax, tip } as `itemization`.
+// Returns { payerAmount, participantAmounts } or { error } when the inputs
+// don't add up.
+function calculateSplit(total, participants, splitType, payerShare, itemization) {
+  if (splitType === 'itemized') {
+    return calculateItemizedSplit(total, participants.length, itemization);
+  }
+
+  if (splitType === 'equal') {
+    const cents = allocateCents(total, [...participants.map(() => 1), 1]);
+    return {
+      payerAmount: cents.pop(),
+      participantAmounts: cents
+    };
+  }
+
+  const key = splitType;
+  const values = participants.map(p => Number(p[key]));
+  const payerValue = payerShare === undefined || payerShare === null ? 0 : Number(payerShare);
+
+  if (values.some(v => !Number.isFinite(v) || v < 0) || !Number.isFinite(payerValue) || payerValue < 0) {
+    return { error: `Every participant needs a non-negative ${key} for a ${splitType} split` };
+  }
+
+  const sum = values.reduce((a, b) => a + b, 0) + payerValue;
+
+  if (splitType === 'percentage' && Math.abs(sum - 100) > 0.01) {
+    return { error: `Percentages must add up to 100 (got ${sum})` };
+  }
+
+  if (splitType === 'amount') {
+    if (values.some(v => !Number.isInteger(v)) || !Number.isInteger(payerValue)) {
+      return { error: 'Amounts must be whole numbers of cents' };
+    }
+    if (sum !== total) {
+      return { error: `Amounts must add up to the expense total of ${total} cents (got ${sum})` };
+    }
+    return {
+      payerAmount: payerValue,
+      participantAmounts: values
+    };
+  }
+
+  if (sum <= 0) {
+    return { error: 'Total shares must be greater than 0' };
+  }
+
+  const cents = allocateCents(total, [...values, payerValue]);
+  return {
+    payerAmount: cents.pop(),
+    participantAmounts: cents
+  };
+}
+
+// Who owes whom on an expense. Each person's net is what they paid less their
+// share; people who paid less than their share owe the difference, which goes
+// to those who paid more, filling the payers in the order they are listed.
+// Returns a Map from each person ('me' or participant index) to the
+// [{ participant, amount }] they owe, empty for those who owe nothing.
+function expenseDebts(participantAmounts, payerAmount, payers) {
+  const shareOf = ref => (ref === 'me' ? payerAmount : participantAmounts[ref]);
+  const paidBy = ref => payers.filter(p => p.participant === ref).reduce((sum, p) => sum + p.amount, 0);
+  const creditors = payers
+    .map(p => ({ participant: p.participant, remaining: p.amount - shareOf(p.participant) }))
+    .filter(c => c.remaining > 0);
+  
+  const debts = new Map();
+  [...participantAmounts.keys(), 'me'].forEach(ref => {
+    const owes = [];
+    let owed = shareOf(ref) - paidBy(ref);
+    while (owed > 0) {
+      const creditor = creditors.find(c => c.remaining > 0);
+      const amount = Math.min(owed, creditor.remaining);
+      owes.push({ participant: creditor.participant, amount });
+      creditor.remaining -= amount;
+      owed -= amount;
+    }
+    debts.set(ref, owes);
+  });
+  return debts;
+}
+
+// A link's history without payments the provider has since refunded
+function settledPayments(link) {
+  return (link.payments || []).filter(p => !p.refundedAt);
+}
+
+// Totals derived from a link's payment history, in cents
+function linkSettlement(link) {
+  const payments = settledPayments(link);
+  const amountPaid = payments
+    .filter(p => p.type !== 'forgiven')
+    .reduce((sum, p) => sum + p.amount, 0);
+  const amountForgiven = payments
+    .filter(p => p.type === 'forgiven')
+    .reduce((sum, p) => sum + p.amount, 0);
+  const remaining = Math.max(link.amount - amountPaid - amountForgiven, 0);
+
+  let status = 'unpaid';
+  if (remaining === 0) {
+    status = 'paid';
+  } else if (amountPaid + amountForgiven > 0) {
+    status = 'partial';
+  }
+
+  return { amountPaid, amountForgiven, remaining, status };
+}
+
+// What a link owes each payer, with what has been paid and forgiven towards
+// each. A settlement a payer recorded for themselves (`payee` set) goes to
+// their part; the rest fill the payers in the order the link lists them,
+// payments before forgiven amounts.
+function linkPayees(link) {
+  const payees = (link.payTo || []).map(payee => ({ ...payee, amountPaid: 0, amountForgiven: 0, remaining: payee.amount }));
+  const settle = (payee, kind, amount) => {
+    const applied = Math.min(amount, payee.remaining);
+    payee[kind] += applied;
+    payee.remaining -= applied;
+    return amount - applied;
+  };
+  
+  const unassigned = { amountPaid: 0, amountForgiven: 0 };
+  settledPayments(link).forEach(payment => {
+    const kind = payment.type === 'forgiven' ? 'amountForgiven' : 'amountPaid';
+    const own = payment.payee !== undefined && payment.payee !== null && payees.find(p => p.participant === payment.payee);
+    unassigned[kind] += own ? settle(own, kind, payment.amount) : payment.amount;
+  });
+  ['amountPaid', 'amountForgiven'].forEach(kind => {
+    payees.forEach(payee => { unassigned[kind] = settle(payee, kind, unassigned[kind]); });
+  });
+  return payees;
+}
+
+module.exports = {
+  SPLIT_TYPES,
+  MAX_RECEIPT_ITEMS,
+  toCents,
+  allocateCents,
+  calculateSplit,
+  expenseDebts,
+  settledPayments,
+  linkSettlement,
+  linkPayees
+};
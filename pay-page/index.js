@@ -0,0 +1,183 @@
+// pay-page/index.js - The public page behind every payment link
+//
+// Someone who was sent a link may not have the app, so /payment/:id renders
+// plain HTML: what they owe, who to pay, a QR code of the page for opening it
+// on a phone, and the ways each payer can be paid outside the app. server.js
+// works out the numbers; this module only builds URLs and markup. Amounts
+// arrive already formatted.
+
+// Ways a payer can be paid outside the app, saved on their profile
+const PAYMENT_HANDLE_TYPES = ['upi', 'venmo', 'paypal', 'bank'];
+
+// How a participant says they paid when marking a link as sent
+const SENT_METHODS = [...PAYMENT_HANDLE_TYPES, 'cash', 'other'];
+
+const METHOD_LABELS = {
+  upi: 'UPI',
+  venmo: 'Venmo',
+  paypal: 'PayPal',
+  bank: 'Bank transfer',
+  cash: 'Cash',
+  other: 'Something else'
+};
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+// The reference a bank transfer should quote so the payer can match it up
+function transferReference(linkId) {
+  return `SPLIT-${linkId.slice(0, 8)}`;
+}
+
+// Ways to pay one payer `amount` (major units, e.g. '12.50') from their saved
+// `handles`. UPI only takes rupees and Venmo only dollars, so those are left
+// out for other currencies. Returns [{ type, label, url, detail }]; a bank
+// transfer has no URL, just the details and reference to show.
+function paymentOptions(handles, { amount, currency, payeeName, note, reference }) {
+  const options = [];
+  const { upi, venmo, paypal, bank } = handles || {};
+
+  if (upi && currency === 'INR') {
+    const query = new URLSearchParams({ pa: upi, pn: payeeName, am: amount, cu: currency, tn: note });
+    options.push({ type: 'upi', label: METHOD_LABELS.upi, url: `upi://pay?${query}`, detail: upi });
+  }
+  if (venmo && currency === 'USD') {
+    const query = new URLSearchParams({ txn: 'pay', amount, note });
+    options.push({ type: 'venmo', label: METHOD_LABELS.venmo, url: `https://venmo.com/${encodeURIComponent(venmo)}?${query}`, detail: `@${venmo}` });
+  }
+  if (paypal) {
+    options.push({ type: 'paypal', label: METHOD_LABELS.paypal, url: `https://paypal.me/${encodeURIComponent(paypal)}/${amount}${currency}`, detail: `paypal.me/${paypal}` });
+  }
+  if (bank) {
+    options.push({ type: 'bank', label: METHOD_LABELS.bank, url: null, detail: bank, reference });
+  }
+  return options;
+}
+
+function page(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <meta name="referrer" content="no-referrer">
+  <title>${escapeHtml(title)} - SplitEase</title>
+  <style>
+    body { font-family: Arial, sans-serif; max-width: 480px; margin: 0 auto; padding: 24px 16px; color: #222; }
+    h1 { font-size: 1.4em; margin-bottom: 4px; }
+    .amount { font-size: 2.2em; font-weight: bold; margin: 8px 0; }
+    .muted { color: #666; }
+    .notice { background: #eef7ee; border: 1px solid #9c9; padding: 10px; border-radius: 6px; }
+    .payee { border: 1px solid #ddd; border-radius: 8px; padding: 12px; margin: 12px 0; }
+    .option { display: block; margin: 8px 0; padding: 10px; border-radius: 6px; background: #f4f4f8; color: #222; text-decoration: none; }
+    a.option { background: #3b5bdb; color: #fff; text-align: center; }
+    .qr { width: 180px; height: 180px; display: block; margin: 16px auto; }
+    button { font-size: 1em; padding: 10px 16px; border-radius: 6px; border: 1px solid #3b5bdb; background: #fff; cursor: pointer; }
+    button.primary { background: #3b5bdb; color: #fff; }
+    select { font-size: 1em; padding: 8px; }
+  </style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+function renderOption(option) {
+  if (option.url) {
+    return `<a class="option" href="${escapeHtml(option.url)}" rel="noopener noreferrer">Pay with ${escapeHtml(option.label)} <small>(${escapeHtml(option.detail)})</small></a>`;
+  }
+  return `<div class="option"><strong>${escapeHtml(option.label)}</strong><br>${escapeHtml(option.detail)}<br>` +
+    `<span class="muted">Reference:</span> <strong>${escapeHtml(option.reference)}</strong></div>`;
+}
+
+function renderPayee(payee) {
+  const options = payee.options.length > 0
+    ? payee.options.map(renderOption).join('\n    ')
+    : '<p class="muted">No payment details saved - ask them how they would like to be paid.</p>';
+  return `<div class="payee">
+    <div><strong>${escapeHtml(payee.amount)}</strong> to <strong>${escapeHtml(payee.name)}</strong></div>
+    ${options}
+  </div>`;
+}
+
+// The pay page. `view` is { linkId, description, participantName, remaining,
+// paid, status, payees: [{ name, amount, options }], qrSvg, pageUrl,
+// markedSent: { at, method } | null, justMarked }. Paying by card goes through
+// the JSON API and on to the provider's checkout page.
+function renderPayPage(view) {
+  const title = `Pay for ${view.description}`;
+
+  if (view.status === 'paid') {
+    return page(title, `<h1>${escapeHtml(view.description)}</h1>
+<p class="notice">This is all paid - thank you!</p>`);
+  }
+
+  const sent = view.markedSent
+    ? `<p class="notice">${view.justMarked ? 'Thanks! ' : ''}Marked as sent by ${escapeHtml(METHOD_LABELS[view.markedSent.method] || view.markedSent.method)} on ${escapeHtml(new Date(view.markedSent.at).toUTCString())}. It shows as paid once they confirm it.</p>`
+    : '';
+  const partial = view.status === 'partial'
+    ? `<p class="muted">${escapeHtml(view.paid)} paid so far</p>`
+    : '';
+  const card = `<p><button class="primary" id="pay-card">Pay by card</button></p>
+<script>
+  document.getElementById('pay-card').addEventListener('click', async event => {
+    event.target.disabled = true;
+    const response = await fetch('/api/payment-links/${encodeURIComponent(view.linkId)}/pay', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+    const result = await response.json();
+    if (result.success) {
+      window.location = result.checkout.url;
+    } else {
+      alert(result.error);
+      event.target.disabled = false;
+    }
+  });
+</script>`;
+  const methods = SENT_METHODS
+    .map(method => `<option value="${method}">${escapeHtml(METHOD_LABELS[method])}</option>`)
+    .join('');
+
+  return page(title, `<h1>${escapeHtml(view.description)}</h1>
+<p class="muted">Hi ${escapeHtml(view.participantName)}, you owe</p>
+<div class="amount">${escapeHtml(view.remaining)}</div>
+${partial}
+${sent}
+${view.payees.map(renderPayee).join('\n')}
+${card}
+<form method="post" action="/api/payment-links/${encodeURIComponent(view.linkId)}/sent">
+  <p>Paid another way?
+    <select name="method">${methods}</select>
+    <button type="submit">Mark as sent</button>
+  </p>
+</form>
+<img class="qr" alt="QR code for this page" src="data:image/svg+xml;base64,${Buffer.from(view.qrSvg).toString('base64')}">
+<p class="muted" style="text-align: center;">Scan to open this page on your phone<br><small>${escapeHtml(view.pageUrl)}</small></p>`);
+}
+
+// Asks before stopping reminders; the form posts the opt-out
+function renderOptOutPage(linkId) {
+  return page('Stop reminders', `<h1>Stop payment reminders?</h1>
+<p>You won't get any more reminders to pay, for this or any other expense.</p>
+<form method="post" action="/api/payment-links/${encodeURIComponent(linkId)}/opt-out">
+  <button class="primary" type="submit">Stop reminders</button>
+</form>`);
+}
+
+// A page with just a heading and a message, for links that can't be paid
+function renderNoticePage(title, message) {
+  return page(title, `<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(message)}</p>`);
+}
+
+module.exports = {
+  PAYMENT_HANDLE_TYPES,
+  SENT_METHODS,
+  escapeHtml,
+  transferReference,
+  paymentOptions,
+  renderPayPage,
+  renderOptOutPage,
+  renderNoticePage
+};
@@ -0,0 +1,27 @@
+// payment-providers/index.js - Payment processors behind one interface
+//
+// server.js never marks a payment link paid on the payer's word. It asks the
+// provider for a hosted checkout and waits for the provider's signed webhook.
+// A provider has:
+//
+//   name
+//   createCheckout({ checkoutId, amount, currency, description })
+//     -> Promise<{ sessionId, url }>
+//   refund({ sessionId, amount }) -> Promise
+//   parseWebhook(rawBody, headers) -> { id, type, sessionId, amount }
+//     Throws when the signature doesn't verify. `type` is one of
+//     WEBHOOK_EVENT_TYPES; `id` is unique per event so repeats can be ignored.
+
+const { createMockProvider } = require('./mock');
+
+const WEBHOOK_EVENT_TYPES = ['payment.succeeded', 'payment.failed', 'payment.refunded'];
+
+// Pick a provider from configuration. Only 'mock' ships with the app.
+function createPaymentProvider({ driver = 'mock', webhookUrl, checkoutUrl, webhookSecret }) {
+  if (driver === 'mock') {
+    return createMockProvider({ webhookUrl, checkoutUrl, webhookSecret });
+  }
+  throw new Error(`Unknown payment provider: ${driver}`);
+}
+
+module.exports = { WEBHOOK_EVENT_TYPES, createPaymentProvider };
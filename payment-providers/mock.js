@@ -0,0 +1,90 @@
+// payment-providers/mock.js - Local stand-in for a payment processor
+//
+// Checkout pages are served by the app itself (see checkoutUrl). Completing
+// one sends the app a webhook signed the way a real processor would sign it:
+//
+//   x-mock-signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+//
+// Nothing is stored here; the app keeps track of its checkouts.
+
+const crypto = require('crypto');
+
+// Webhooks older than this are refused, so a captured one can't be replayed later
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function createMockProvider({ webhookUrl, checkoutUrl, webhookSecret }) {
+  // Send the webhook a real processor would send for this session
+  async function deliver(type, sessionId, amount) {
+    const body = JSON.stringify({
+      id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+      type,
+      data: { sessionId, amount }
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const response = await fetch(webhookUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-mock-signature': `t=${timestamp},v1=${sign(webhookSecret, timestamp, body)}`
+      },
+      body
+    });
+    if (!response.ok) {
+      throw new Error(`Webhook delivery failed with status ${response.status}`);
+    }
+    return response.json();
+  }
+
+  return {
+    name: 'mock',
+
+    async createCheckout() {
+      const sessionId = `mock_${crypto.randomBytes(12).toString('hex')}`;
+      return { sessionId, url: checkoutUrl(sessionId) };
+    },
+
+    // The outcome the person chose on the mock checkout page
+    complete(sessionId, outcome, amount) {
+      return deliver(outcome === 'succeeded' ? 'payment.succeeded' : 'payment.failed', sessionId, amount);
+    },
+
+    async refund({ sessionId, amount }) {
+      // Real processors confirm refunds asynchronously; so does the mock
+      setImmediate(() => {
+        deliver('payment.refunded', sessionId, amount)
+          .catch(error => console.error('Mock refund webhook failed:', error.message));
+      });
+    },
+
+    parseWebhook(rawBody, headers) {
+      const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody || '');
+      const parts = Object.fromEntries(String(headers['x-mock-signature'] || '')
+        .split(',')
+        .map(part => part.split('=').map(s => s.trim())));
+      const timestamp = Number(parts.t);
+
+      if (!timestamp || !parts.v1 || Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+        throw new Error('Missing or stale signature');
+      }
+      const expected = Buffer.from(sign(webhookSecret, timestamp, body), 'hex');
+      const given = Buffer.from(parts.v1, 'hex');
+      if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        throw new Error('Signature does not match');
+      }
+
+      const event = JSON.parse(body);
+      return {
+        id: event.id,
+        type: event.type,
+        sessionId: event.data && event.data.sessionId,
+        amount: event.data && event.data.amount
+      };
+    }
+  };
+}
+
+module.exports = { createMockProvider };
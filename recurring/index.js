@@ -0,0 +1,96 @@
+// recurring/index.js - Dates and schedules for recurring expenses
+//
+// Dates are UTC calendar days ('YYYY-MM-DD'). A template holds `startDate`,
+// `endDate`, `schedule` and `nextDate`, the next date still to generate;
+// server.js stores templates and creates the expenses.
+
+const RECURRING_FREQUENCIES = ['weekly', 'monthly'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseDateOnly(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return null;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return isNaN(date) || date.toISOString().slice(0, 10) !== value ? null : date;
+}
+
+function formatDateOnly(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(value, days) {
+  return formatDateOnly(new Date(parseDateOnly(value).getTime() + days * DAY_MS));
+}
+
+// First scheduled date of `template` on or after `value`. Monthly schedules
+// use the last day of shorter months when dayOfMonth doesn't exist in them.
+function firstOccurrenceOnOrAfter(template, value) {
+  const { frequency, interval, dayOfMonth } = template.schedule;
+  const start = parseDateOnly(template.startDate);
+  const from = parseDateOnly(value) > start ? parseDateOnly(value) : start;
+
+  if (frequency === 'weekly') {
+    const step = 7 * interval;
+    const periods = Math.ceil(Math.round((from - start) / DAY_MS) / step);
+    return formatDateOnly(new Date(start.getTime() + periods * step * DAY_MS));
+  }
+
+  const monthsFromStart = (from.getUTCFullYear() - start.getUTCFullYear()) * 12 + from.getUTCMonth() - start.getUTCMonth();
+  let months = Math.floor(monthsFromStart / interval) * interval;
+  for (;;) {
+    const year = start.getUTCFullYear();
+    const month = start.getUTCMonth() + months;
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    const candidate = new Date(Date.UTC(year, month, Math.min(dayOfMonth, lastDay)));
+    if (candidate >= from) {
+      return formatDateOnly(candidate);
+    }
+    months += interval;
+  }
+}
+
+// Validate a schedule from a request body; returns { error } or { schedule }
+function parseSchedule(input, startDate) {
+  const { frequency, interval = 1, dayOfMonth } = input || {};
+
+  if (!RECURRING_FREQUENCIES.includes(frequency)) {
+    return { error: `Schedule frequency must be one of: ${RECURRING_FREQUENCIES.join(', ')}` };
+  }
+  if (!Number.isInteger(interval) || interval < 1) {
+    return { error: 'Schedule interval must be a positive whole number' };
+  }
+
+  const schedule = { frequency, interval };
+  if (frequency === 'monthly') {
+    const day = dayOfMonth === undefined ? parseDateOnly(startDate).getUTCDate() : dayOfMonth;
+    if (!Number.isInteger(day) || day < 1 || day > 31) {
+      return { error: 'dayOfMonth must be between 1 and 31' };
+    }
+    schedule.dayOfMonth = day;
+  }
+  return { schedule };
+}
+
+// The dates `template` still has to generate up to `today`, oldest first and
+// at most `limit` of them
+function duePeriods(template, today, limit) {
+  const periods = [];
+  let next = template.nextDate;
+  while (periods.length < limit && next <= today && (!template.endDate || next <= template.endDate)) {
+    periods.push(next);
+    next = firstOccurrenceOnOrAfter(template, addDays(next, 1));
+  }
+  return periods;
+}
+
+module.exports = {
+  RECURRING_FREQUENCIES,
+  DAY_MS,
+  parseDateOnly,
+  formatDateOnly,
+  addDays,
+  firstOccurrenceOnOrAfter,
+  parseSchedule,
+  duePeriods
+};
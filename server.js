@@ -2,8 +2,10 @@
 
 const express = require('express');
 const cors = require('cors');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { once } = require('events');
 
 // NEW: Authentication imports
 const bcrypt = require('bcrypt');
@@ -11,16 +13,115 @@ const jwt = require('jsonwebtoken');
 const twilio = require('twilio');
 const nodemailer = require('nodemailer');
 const { parsePhoneNumber, isValidPhoneNumber } = require('libphonenumber-js');
+const { createStore } = require('./storage');
+const { writeFileAtomic } = require('./storage/json-store');
+const { formatCsvRow } = require('./import-export/csv');
+const formats = require('./import-export/formats');
+const { WEBHOOK_EVENT_TYPES, createPaymentProvider } = require('./payment-providers');
+const { ApiError, errorHandler, notFoundHandler } = require('./api/errors');
+const { validate } = require('./api/validate');
+const { buildOpenApiDocument } = require('./api/openapi');
+const schema = require('./api/schema');
+const QRCode = require('qrcode');
+const payPage = require('./pay-page');
+const {
+  SPLIT_TYPES,
+  MAX_RECEIPT_ITEMS,
+  toCents,
+  allocateCents,
+  calculateSplit,
+  expenseDebts,
+  settledPayments,
+  linkSettlement,
+  linkPayees
+} = require('./money');
+const {
+  RECURRING_FREQUENCIES,
+  DAY_MS,
+  parseDateOnly,
+  formatDateOnly,
+  addDays,
+  firstOccurrenceOnOrAfter,
+  parseSchedule,
+  duePeriods
+} = require('./recurring');
+const { escapeHtml } = payPage;
+const { object, string, integer, boolean, array, anyOf, nullable } = schema;
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // NEW: Authentication configuration
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
+const DEV_JWT_SECRET = 'your-super-secret-jwt-key-change-this-in-production';
+const JWT_SECRET = process.env.JWT_SECRET || DEV_JWT_SECRET;
 const TWILIO_SID = process.env.TWILIO_SID;
 const TWILIO_TOKEN = process.env.TWILIO_TOKEN;
 const TWILIO_PHONE = process.env.TWILIO_PHONE;
 
+// Refuse to sign tokens in production with the development secret or a guessable one
+if (process.env.NODE_ENV === 'production' && (JWT_SECRET === DEV_JWT_SECRET || JWT_SECRET.length < 32)) {
+    console.error('❌ JWT_SECRET must be set to a random value of at least 32 characters in production');
+    process.exit(1);
+}
+
+// Sessions - short-lived access tokens, renewed with a rotating refresh token
+const ACCESS_TOKEN_TTL_SECONDS = (Number(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15) * 60;
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Verification code limits
+const CODE_TTL_MS = 10 * 60 * 1000;
+const CODE_MAX_ATTEMPTS = 5;
+const CODE_LOCKOUT_MS = 15 * 60 * 1000;
+const CODE_RESEND_COOLDOWN_MS = 60 * 1000;
+const CODE_REQUESTS_PER_CONTACT = Number(process.env.CODE_REQUESTS_PER_CONTACT) || 5; // per hour
+const CODE_REQUESTS_PER_IP = Number(process.env.CODE_REQUESTS_PER_IP) || 20; // per hour
+
+// Currency configuration
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'USD').toUpperCase();
+// The shipped table is read-only defaults; rates set by an admin are saved to
+// the overrides file, which is not tracked, and take precedence on startup
+const EXCHANGE_RATES_FILE = process.env.EXCHANGE_RATES_FILE || path.join(__dirname, 'exchange-rates.json');
+const EXCHANGE_RATE_OVERRIDES_FILE = process.env.EXCHANGE_RATE_OVERRIDES_FILE || path.join(__dirname, 'exchange-rates.local.json');
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+
+// How often due recurring expenses are generated
+const RECURRING_CHECK_INTERVAL_MS = (Number(process.env.RECURRING_CHECK_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+// Reminder configuration - days after a link is created, then every N days
+const APP_URL = process.env.APP_URL || `http://localhost:${PORT}`;
+const REMINDER_DAYS = (process.env.REMINDER_DAYS || '3,7').split(',').map(Number).filter(n => n > 0);
+const REMINDER_REPEAT_DAYS = Number(process.env.REMINDER_REPEAT_DAYS) || 7;
+const OUTBOX_INTERVAL_MS = 60 * 1000;
+const OUTBOX_MAX_ATTEMPTS = 5;
+
+// Largest import accepted, as request body size and as expenses per file
+const IMPORT_MAX_BYTES = process.env.IMPORT_MAX_BYTES || '5mb';
+const IMPORT_MAX_RECORDS = 5000;
+
+// Receipt uploads are stored on local disk
+const RECEIPTS_DIR = path.resolve(process.env.RECEIPTS_DIR || path.join(__dirname, 'receipts'));
+const RECEIPT_MAX_BYTES = Number(process.env.RECEIPT_MAX_BYTES) || 10 * 1024 * 1024;
+const MAX_RECEIPTS_PER_EXPENSE = 10;
+
+// Payment links expire this many days after they are issued
+const PAYMENT_LINK_TTL_DAYS = Number(process.env.PAYMENT_LINK_TTL_DAYS) || 30;
+// Marking a link as paid outside the app is public, so it is rate limited
+const MARK_SENT_PER_LINK = 5; // per hour
+const MARK_SENT_PER_IP = 30; // per hour
+
+// Card payments go through a payment provider's hosted checkout
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || 'mock';
+const DEV_WEBHOOK_SECRET = 'mock-webhook-secret-change-this-in-production';
+const PAYMENT_WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || DEV_WEBHOOK_SECRET;
+const CHECKOUT_TTL_MS = (Number(process.env.CHECKOUT_TTL_MINUTES) || 30) * 60 * 1000;
+
+// Refuse to take payments in production through the mock provider, whose
+// checkout anyone can complete, or with a webhook secret anyone can look up
+if (process.env.NODE_ENV === 'production' && (PAYMENT_PROVIDER === 'mock' || PAYMENT_WEBHOOK_SECRET === DEV_WEBHOOK_SECRET)) {
+    console.error('❌ PAYMENT_PROVIDER and PAYMENT_WEBHOOK_SECRET must be set to a real provider and secret in production');
+    process.exit(1);
+}
+
 // Initialize services
 let twilioClient;
 if (TWILIO_SID && TWILIO_TOKEN) {
@@ -28,530 +129,5227 @@ if (TWILIO_SID && TWILIO_TOKEN) {
 }
 
 // Make email transporter optional for development
-let emailTransporter;
-try {
-    emailTransporter = nodemailer.createTransporter({
+let emailTransporter = null;
+if (process.env.EMAIL_USER) {
+    emailTransporter = nodemailer.createTransport({
         service: 'gmail',
         auth: {
             user: process.env.EMAIL_USER,
             pass: process.env.EMAIL_PASS
         }
     });
-} catch (error) {
+} else {
     console.log('📧 Email transporter not configured - using development mode');
-    emailTransporter = null;
 }
 
-// Data file path
-const DATA_FILE = path.join(__dirname, 'data.json');
+// Notifiers share one interface: configured() and send(message), where a
+// message is { channel, to, subject, text, html }.
+const notifiers = {
+    sms: {
+        configured: () => Boolean(twilioClient),
+        send: message => twilioClient.messages.create({
+            body: message.text,
+            from: TWILIO_PHONE,
+            to: message.to
+        })
+    },
+    email: {
+        configured: () => Boolean(emailTransporter),
+        send: message => emailTransporter.sendMail({
+            from: process.env.EMAIL_USER,
+            to: message.to,
+            subject: message.subject,
+            text: message.text,
+            html: message.html
+        })
+    }
+};
+
+// Deliver a message now. When its channel isn't configured (development) the
+// message is logged to the console instead and { devMode: true } is returned.
+async function sendNotification(message) {
+    const notifier = notifiers[message.channel];
+    if (!notifier) {
+        throw new Error(`Unknown notification channel: ${message.channel}`);
+    }
+
+    if (!notifier.configured()) {
+        console.log(`📨 [dev ${message.channel}] to ${message.to}: ${message.text}`);
+        return { devMode: true };
+    }
+
+    await notifier.send(message);
+    return { devMode: false };
+}
+
+const paymentProvider = createPaymentProvider({
+    driver: PAYMENT_PROVIDER,
+    webhookUrl: `${APP_URL}/api/webhooks/payments/${PAYMENT_PROVIDER}`,
+    checkoutUrl: sessionId => `${APP_URL}/mock-checkout/${sessionId}`,
+    webhookSecret: PAYMENT_WEBHOOK_SECRET
+});
+
+// Storage configuration - STORAGE_DRIVER is 'json' (development) or 'sqlite'
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, 'data.json');
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(__dirname, 'data.sqlite');
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'json';
+
+const store = createStore({ driver: STORAGE_DRIVER, jsonFile: DATA_FILE, sqliteFile: SQLITE_FILE });
+
+// Data migrations, applied in order by loadData() to anything stored at an
+// older version. Append new ones; the last version is the current one.
+const DATA_MIGRATIONS = [
+  { version: 2, description: 'amounts to integer cents', up: migrateAmountsToCents },
+  { version: 3, description: 'payment history on links', up: migrateLinkPayments },
+  { version: 4, description: 'expense currencies', up: migrateCurrencies },
+  { version: 5, description: 'payment link expense references and expiry', up: migrateLinkReferences },
+  { version: 6, description: 'hashed verification codes', up: migrateVerificationCodes },
+  { version: 7, description: 'participant accounts', up: migrateParticipantAccounts },
+  { version: 8, description: 'expense dates, categories, tags and notes', up: migrateExpenseDetails },
+  { version: 9, description: 'primary contacts', up: migratePrimaryContacts },
+  { version: 10, description: 'expense payers', up: migratePayers }
+];
+const DATA_VERSION = DATA_MIGRATIONS[DATA_MIGRATIONS.length - 1].version;
 
 // In-memory storage
 let expenses = [];
 let paymentLinks = [];
 let users = [];
 let verificationCodes = []; // NEW: For phone/email verification
+let groups = [];
+let expenseRevisions = [];
+let recurringExpenses = [];
+let outbox = [];
+let reminderOptOuts = [];
+let sessions = [];
+let invitations = [];
+let checkouts = [];
+let comments = [];
+let activities = [];
+let exchangeRates = { base: DEFAULT_CURRENCY, rates: { [DEFAULT_CURRENCY]: 1 }, updatedAt: null };
 
-// Load data on startup
+// Load data on startup. Throws if the stored data can't be read, rather than
+// starting empty and overwriting it on the next save.
 function loadData() {
-  try {
-    if (fs.existsSync(DATA_FILE)) {
-      const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
-      expenses = data.expenses || [];
-      paymentLinks = data.paymentLinks || [];
-      users = data.users || [];
-      verificationCodes = data.verificationCodes || []; // NEW
-      console.log('📂 Loaded existing data');
+  const data = store.load();
+
+  if (!data) {
+    if (STORAGE_DRIVER === 'sqlite' && fs.existsSync(DATA_FILE)) {
+      console.log(`📂 Found ${DATA_FILE} - run "npm run import-data" to copy it into SQLite`);
     }
-  } catch (error) {
     console.log('📂 Starting with empty data');
+    return;
+  }
+
+  expenses = data.expenses;
+  paymentLinks = data.paymentLinks;
+  users = data.users;
+  verificationCodes = data.verificationCodes; // NEW
+  groups = data.groups;
+  expenseRevisions = data.expenseRevisions;
+  recurringExpenses = data.recurringExpenses;
+  outbox = data.outbox;
+  reminderOptOuts = data.reminderOptOuts;
+  sessions = data.sessions;
+  invitations = data.invitations;
+  checkouts = data.checkouts;
+  comments = data.comments;
+  activities = data.activities;
+  console.log(`📂 Loaded existing data (${store.driver})`);
+
+  const pending = DATA_MIGRATIONS.filter(m => m.version > data.version);
+  pending.forEach(migration => {
+    migration.up();
+    console.log(`📂 Migrated data to version ${migration.version}: ${migration.description}`);
+  });
+  if (pending.length > 0) {
+    saveData();
   }
 }
 
 // Save data function
 function saveData() {
-  const data = { expenses, paymentLinks, users, verificationCodes }; // NEW: Include verification codes
-  fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
+  store.save({ version: DATA_VERSION, expenses, paymentLinks, users, verificationCodes, groups, expenseRevisions, recurringExpenses, outbox, reminderOptOuts, sessions, invitations, checkouts, comments, activities }); // NEW: Include verification codes
+}
+
+// Load the exchange-rate table: an admin's overrides if there are any, else the
+// shipped defaults. Rates are units of each currency per one unit of `base`;
+// no live FX service is used.
+function loadExchangeRates() {
+  const file = [EXCHANGE_RATE_OVERRIDES_FILE, EXCHANGE_RATES_FILE].find(f => fs.existsSync(f));
+  try {
+    if (file) {
+      const table = JSON.parse(fs.readFileSync(file, 'utf8'));
+      exchangeRates = { ...table, rates: { ...table.rates, [table.base]: 1 } };
+      console.log(`💱 Loaded exchange rates from ${path.basename(file)} (base ${exchangeRates.base})`);
+    }
+  } catch (error) {
+    console.log('💱 Could not read exchange rates - only ' + DEFAULT_CURRENCY + ' is available');
+  }
+}
+
+function saveExchangeRates() {
+  writeFileAtomic(EXCHANGE_RATE_OVERRIDES_FILE, JSON.stringify(exchangeRates, null, 2));
+}
+
+// Convert version 1 float amounts to integer cents. Each expense's shares are
+// re-allocated from their old proportions so they sum exactly to the total.
+function migrateAmountsToCents() {
+  expenses.forEach(expense => {
+    const oldTotal = Number(expense.amount) || 0;
+    const oldShares = expense.participants.map(p => Number(p.amount) || 0);
+    const oldPayerShare = expense.payerAmount !== undefined
+      ? Number(expense.payerAmount) || 0
+      : Math.max(oldTotal - oldShares.reduce((a, b) => a + b, 0), 0);
+
+    expense.amount = toCents(oldTotal);
+    const weights = [...oldShares, oldPayerShare];
+    const cents = weights.some(w => w > 0)
+      ? allocateCents(expense.amount, weights)
+      : allocateCents(expense.amount, weights.map(() => 1));
+
+    expense.participants.forEach((participant, index) => {
+      participant.amount = cents[index];
+    });
+    expense.payerAmount = cents[cents.length - 1];
+  });
+
+  paymentLinks.forEach(link => {
+    const participant = expenses
+      .flatMap(e => e.participants)
+      .find(p => p.paymentLink === link.id);
+    link.amount = participant ? participant.amount : toCents(Number(link.amount) || 0);
+  });
+}
+
+// Version 3 data predates currencies: everything was in the default currency.
+function migrateCurrencies() {
+  expenses.forEach(expense => {
+    expense.currency = expense.currency || DEFAULT_CURRENCY;
+    expense.exchangeRates = expense.exchangeRates || snapshotExchangeRates();
+  });
+  paymentLinks.forEach(link => {
+    const expense = findExpenseForLink(link);
+    link.currency = link.currency || (expense ? expense.currency : DEFAULT_CURRENCY);
+  });
+  users.forEach(user => {
+    user.homeCurrency = user.homeCurrency || DEFAULT_CURRENCY;
+  });
+}
+
+// Point every link at the expense that actually lists it (older links stored
+// an unrelated timestamp) and give them an expiry starting now.
+function migrateLinkReferences() {
+  paymentLinks.forEach(link => {
+    const expense = expenses.find(e => e.participants.some(p => p.paymentLink === link.id));
+    link.expenseId = expense ? expense.id : null;
+    link.expiresAt = link.expiresAt || paymentLinkExpiry();
+  });
+}
+
+// Older verification codes were stored in plain text. They only live for ten
+// minutes, so drop them rather than hashing them.
+function migrateVerificationCodes() {
+  verificationCodes = [];
+}
+
+// Resolve every participant to a registered account by email or phone
+function migrateParticipantAccounts() {
+  expenses.forEach(expense => {
+    expense.participants.forEach(participant => {
+      const user = findUserForContact(participant);
+      participant.userId = user ? user.id : null;
+    });
+  });
+}
+
+// Expenses used to be dated by when they were entered
+function migrateExpenseDetails() {
+  expenses.forEach(expense => {
+    expense.expenseDate = expense.expenseDate || formatDateOnly(new Date(expense.createdAt));
+    expense.category = expense.category || null;
+    expense.tags = expense.tags || [];
+    expense.notes = expense.notes || null;
+  });
+}
+
+// Accounts had a single contact, which is their primary one
+function migratePrimaryContacts() {
+  users.forEach(user => {
+    user.primaryContact = user.primaryContact || (user.email ? 'email' : 'phone');
+  });
+}
+
+// The person who logged an expense used to pay all of it, so every link paid them
+function migratePayers() {
+  expenses.forEach(expense => {
+    expense.payers = expense.payers || [{ participant: 'me', amount: expense.amount }];
+    expense.paidBy.paymentLink = expense.paidBy.paymentLink || null;
+  });
+  paymentLinks.forEach(link => {
+    link.payTo = link.payTo || [{ participant: 'me', name: link.paidBy.name, amount: link.amount }];
+  });
+}
+
+// Give version 2 links a payment history: a used link becomes one full payment.
+function migrateLinkPayments() {
+  paymentLinks.forEach(link => {
+    link.payments = link.used
+      ? [{
+          id: Math.random().toString(36).substr(2, 10),
+          type: 'payment',
+          amount: link.amount,
+          method: link.paymentMethod || null,
+          note: null,
+          recordedBy: null,
+          createdAt: link.paidAt || link.createdAt
+        }]
+      : [];
+    applyLinkPayments(link);
+  });
+}
+
+// NEW: Utility functions for authentication
+function generateVerificationCode() {
+    return crypto.randomInt(100000, 1000000).toString();
+}
+
+// Sliding-window request counter kept in memory: allow(key) returns 0 when
+// the request may go ahead, otherwise the milliseconds until it may retry.
+function createRateLimiter({ windowMs, max }) {
+    const hits = new Map();
+    return {
+        allow(key, now = Date.now()) {
+            const recent = (hits.get(key) || []).filter(t => t > now - windowMs);
+            if (recent.length >= max) {
+                hits.set(key, recent);
+                return recent[0] + windowMs - now;
+            }
+            recent.push(now);
+            hits.set(key, recent);
+            return 0;
+        },
+        prune(now = Date.now()) {
+            hits.forEach((times, key) => {
+                if (!times.some(t => t > now - windowMs)) {
+                    hits.delete(key);
+                }
+            });
+        }
+    };
+}
+
+const codeRequestsByContact = createRateLimiter({ windowMs: 60 * 60 * 1000, max: CODE_REQUESTS_PER_CONTACT });
+const codeRequestsByIp = createRateLimiter({ windowMs: 60 * 60 * 1000, max: CODE_REQUESTS_PER_IP });
+
+// Forget request counters and codes that can no longer affect a decision
+function pruneVerificationState(now = Date.now()) {
+    codeRequestsByContact.prune(now);
+    codeRequestsByIp.prune(now);
+    const before = verificationCodes.length;
+    verificationCodes = verificationCodes.filter(vc =>
+        new Date(vc.expiresAt).getTime() > now ||
+        (vc.lockedUntil && new Date(vc.lockedUntil).getTime() > now)
+    );
+    if (verificationCodes.length !== before) {
+        saveData();
+    }
+}
+
+// 429 error; the error handler turns retryAfter into a Retry-After header
+function tooManyRequests(retryAfterMs, message, code) {
+    return new ApiError(429, message, { code, retryAfter: Math.ceil(retryAfterMs / 1000) });
+}
+
+function isValidEmail(email) {
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    return emailRegex.test(email);
+}
+
+function detectContactType(contact) {
+    if (contact.includes('@')) {
+        return isValidEmail(contact) ? 'email' : null;
+    } else {
+        try {
+            const phoneNumber = parsePhoneNumber(contact, 'US');
+            return phoneNumber.isValid() ? 'phone' : null;
+        } catch {
+            return null;
+        }
+    }
+}
+
+// Registered account matching a person's email or phone, or null
+function findUserForContact({ email, phone }) {
+    const emailKey = email ? String(email).toLowerCase() : null;
+    const phoneKey = phone ? normalizeContact(String(phone)) : null;
+    return users.find(u =>
+        (emailKey && u.email === emailKey) || (phoneKey && u.phone === phoneKey)
+    ) || null;
+}
+
+// Attach a newly registered user to the expenses that already list their
+// email or phone, and accept any invitations sent to it
+function linkParticipantsToUser(user) {
+    let linked = 0;
+    expenses.forEach(expense => {
+        expense.participants.forEach(participant => {
+            if (!participant.userId && findUserForContact(participant) === user) {
+                participant.userId = user.id;
+                linked += 1;
+            }
+        });
+    });
+
+    invitations
+        .filter(i => i.status === 'pending' && (i.contact === user.email || i.contact === user.phone))
+        .forEach(invitation => {
+            invitation.status = 'accepted';
+            invitation.acceptedBy = user.id;
+            invitation.acceptedAt = new Date();
+        });
+
+    return linked;
+}
+
+// Normalize a phone number to E.164 or an email to lower case.
+// Returns null when the contact is neither.
+function normalizeContact(contact) {
+    const contactType = contact ? detectContactType(contact) : null;
+    if (!contactType) {
+        return null;
+    }
+    return contactType === 'phone'
+        ? parsePhoneNumber(contact, 'US').format('E.164')
+        : contact.toLowerCase();
+}
+
+// ============= CURRENCY HELPERS =============
+
+// Minor units per currency when it isn't the usual 2 decimal places
+const CURRENCY_DECIMALS = {
+  JPY: 0, KRW: 0, VND: 0, CLP: 0, ISK: 0, HUF: 0,
+  BHD: 3, KWD: 3, OMR: 3, JOD: 3, TND: 3
+};
+
+function currencyDecimals(currency) {
+  return CURRENCY_DECIMALS[currency] !== undefined ? CURRENCY_DECIMALS[currency] : 2;
+}
+
+function isSupportedCurrency(currency) {
+  return typeof currency === 'string' && Boolean(exchangeRates.rates[currency]);
+}
+
+// Copy of the current table, stored on each expense so its converted totals
+// never change when the table is updated later
+function snapshotExchangeRates() {
+  return {
+    base: exchangeRates.base,
+    rates: { ...exchangeRates.rates },
+    asOf: exchangeRates.updatedAt || new Date()
+  };
+}
+
+// Convert integer minor units between currencies using `table`
+// (falls back to the current table for currencies the snapshot lacks)
+function convertAmount(amount, from, to, table = exchangeRates) {
+  if (from === to) {
+    return amount;
+  }
+  const rateOf = code => (table.rates && table.rates[code]) || exchangeRates.rates[code];
+  const fromRate = rateOf(from);
+  const toRate = rateOf(to);
+  if (!fromRate || !toRate) {
+    throw new Error(`No exchange rate for ${fromRate ? to : from}`);
+  }
+  const major = amount / Math.pow(10, currencyDecimals(from));
+  return Math.round(major / fromRate * toRate * Math.pow(10, currencyDecimals(to)));
+}
+
+// Human-readable amount for messages, e.g. "€12.50"
+function formatMoney(amount, currency) {
+  const decimals = currencyDecimals(currency);
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals
+  }).format(amount / Math.pow(10, decimals));
+}
+
+// An expense amount in another currency, at the rates recorded on the expense
+function convertExpenseAmount(expense, amount, currency) {
+  return convertAmount(amount, expense.currency || DEFAULT_CURRENCY, currency, expense.exchangeRates);
+}
+
+// NEW: Authentication middleware
+function authenticateToken(req, res, next) {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+        throw new ApiError(401, 'Access token required', { code: 'TOKEN_REQUIRED' });
+    }
+
+    let user;
+    try {
+        user = jwt.verify(token, JWT_SECRET);
+    } catch (err) {
+        // An expired token is renewed with the refresh token, so tell the client
+        if (err.name === 'TokenExpiredError') {
+            throw new ApiError(401, 'Invalid or expired token', { code: 'TOKEN_EXPIRED' });
+        }
+        throw new ApiError(403, 'Invalid or expired token', { code: 'TOKEN_INVALID' });
+    }
+
+    const session = sessions.find(s => s.id === user.sid);
+    if (!session || !isSessionActive(session)) {
+        throw new ApiError(401, 'Session has ended. Please log in again.', { code: 'SESSION_ENDED' });
+    }
+    req.user = user;
+    next();
+}
+
+// Admin middleware - requires the ADMIN_API_KEY in the x-admin-key header
+function requireAdmin(req, res, next) {
+  if (!ADMIN_API_KEY || req.headers['x-admin-key'] !== ADMIN_API_KEY) {
+    throw new ApiError(403, 'Admin access required', { code: 'ADMIN_REQUIRED' });
+  }
+  next();
+}
+
+// Group membership middleware - use after authenticateToken on /api/groups/:id routes
+function requireGroupMember(req, res, next) {
+  const group = groups.find(g => g.id === req.params.id);
+
+  if (!group || !isGroupMember(group, req.user.userId)) {
+    throw new ApiError(404, 'Group not found');
+  }
+
+  req.group = group;
+  next();
+}
+
+function isGroupMember(group, userId) {
+  return group.members.some(m => m.userId === userId);
+}
+
+// How a user may see an expense: 'payer', 'group' (a member of its group),
+// 'participant' (listed on it), or null when they may not
+function expenseAccess(expense, userId) {
+  if (expense.paidBy.id === userId) {
+    return 'payer';
+  }
+  const group = expense.groupId && groups.find(g => g.id === expense.groupId);
+  if (group && isGroupMember(group, userId)) {
+    return 'group';
+  }
+  return expense.participants.some(p => p.userId === userId) ? 'participant' : null;
+}
+
+function canViewExpense(expense, userId) {
+  return expenseAccess(expense, userId) !== null;
+}
+
+// An expense as `userId` sees it. Someone who is only a participant doesn't
+// get the other people's payment link tokens.
+function expenseForViewer(expense, userId) {
+  if (expenseAccess(expense, userId) !== 'participant') {
+    return expense;
+  }
+  return {
+    ...expense,
+    paidBy: { ...expense.paidBy, paymentLink: null },
+    participants: expense.participants.map(p => p.userId === userId ? p : { ...p, paymentLink: null })
+  };
+}
+
+// Call loadData when server starts
+loadExchangeRates();
+try {
+  loadData();
+} catch (error) {
+  console.error('❌ Could not load stored data:', error.message);
+  console.error('   Fix or restore the data file before starting the server.');
+  process.exit(1);
+}
+
+// Middleware
+// Set TRUST_PROXY (e.g. 1 or 'loopback') behind a reverse proxy so req.ip,
+// which the code request limits key on, is the client's address
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
+app.use(cors());
+// Imports carry whole files, so they get a larger body limit than other routes
+app.use('/api/import', express.json({ limit: IMPORT_MAX_BYTES }));
+// Webhook signatures cover the exact bytes sent, so keep the body unparsed
+app.use('/api/webhooks', express.raw({ type: '*/*', limit: '1mb' }));
+app.use(express.json());
+
+// Serve the frontend HTML file
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'index.html'));
+});
+
+// ============= SESSIONS =============
+// Each login creates a session. The access token (a JWT naming the session)
+// expires quickly; the refresh token is random, stored only as a hash, and
+// replaced every time it is used. Presenting a refresh token that was already
+// replaced means it was copied, so the whole session is revoked.
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function isSessionActive(session, now = Date.now()) {
+    return !session.revokedAt && new Date(session.expiresAt).getTime() > now;
+}
+
+function createSession(user, req) {
+    const session = {
+        id: crypto.randomUUID(),
+        userId: user.id,
+        userAgent: req.get('user-agent') || null,
+        ip: req.ip || null,
+        refreshTokenHash: null,
+        previousRefreshTokenHash: null,
+        createdAt: new Date(),
+        lastUsedAt: new Date(),
+        expiresAt: null,
+        revokedAt: null
+    };
+    sessions.push(session);
+    return session;
+}
+
+// Rotate the session's refresh token and sign a new access token.
+// Returns the fields sent to the client; the caller saves.
+function issueTokens(session, user) {
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+    session.previousRefreshTokenHash = session.refreshTokenHash;
+    session.refreshTokenHash = hashToken(refreshToken);
+    session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    const token = jwt.sign(
+        { userId: user.id, name: user.name, sid: session.id },
+        JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+    );
+
+    return { token, refreshToken, expiresIn: ACCESS_TOKEN_TTL_SECONDS };
+}
+
+function revokeSession(session) {
+    session.revokedAt = session.revokedAt || new Date();
+    eventStreams.forEach(stream => {
+        if (stream.sessionId === session.id) {
+            endEventStream(stream, 'session-ended');
+        }
+    });
+}
+
+function sessionSummary(session, currentSessionId) {
+    return {
+        id: session.id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session.id === currentSessionId
+    };
+}
+
+// Drop sessions whose refresh token has expired; revoked ones go with them
+function pruneSessions(now = Date.now()) {
+    const before = sessions.length;
+    sessions = sessions.filter(s => new Date(s.expiresAt).getTime() > now);
+    if (sessions.length !== before) {
+        saveData();
+    }
+}
+
+// ============= NEW: AUTHENTICATION ROUTES =============
+
+const contactSchema = string({ minLength: 1, maxLength: 254, description: 'a phone number or email address' });
+const userNameSchema = string({ minLength: 1, maxLength: 100 });
+// How a payer can be paid outside the app; null clears one
+const paymentHandlesSchema = object({
+    upi: nullable(string({ pattern: '^[A-Za-z0-9._-]{2,256}@[A-Za-z]{2,64}$', description: 'a UPI ID such as name@bank' })),
+    venmo: nullable(string({ pattern: '^@?[A-Za-z0-9_-]{5,30}$', description: 'a Venmo username' })),
+    paypal: nullable(string({ pattern: '^[A-Za-z0-9]{1,20}$', description: 'a PayPal.me name' })),
+    bank: nullable(string({ minLength: 1, maxLength: 200, description: 'bank details to show for transfers' }))
+}, { additionalProperties: false });
+// Path parameters of routes on a single record
+const idParams = object({ id: schema.id }, { required: ['id'] });
+
+// Throw a 429 when no code may be sent to `normalizedContact` right now
+function checkCodeRequestAllowed(req, normalizedContact) {
+    const ipRetry = codeRequestsByIp.allow(req.ip);
+    if (ipRetry) {
+        throw tooManyRequests(ipRetry, 'Too many code requests. Please try again later.');
+    }
+
+    const now = Date.now();
+    const pending = verificationCodes.find(vc => vc.contact === normalizedContact);
+    if (pending && pending.lockedUntil && new Date(pending.lockedUntil).getTime() > now) {
+        throw tooManyRequests(new Date(pending.lockedUntil).getTime() - now, 'Too many incorrect codes. Please try again later.', 'CODE_LOCKED');
+    }
+    if (pending && !pending.used && new Date(pending.createdAt).getTime() + CODE_RESEND_COOLDOWN_MS > now) {
+        throw tooManyRequests(new Date(pending.createdAt).getTime() + CODE_RESEND_COOLDOWN_MS - now, 'Please wait before requesting another code', 'RESEND_TOO_SOON');
+    }
+
+    const contactRetry = codeRequestsByContact.allow(normalizedContact);
+    if (contactRetry) {
+        throw tooManyRequests(contactRetry, 'Too many code requests for this contact. Please try again later.');
+    }
+}
+
+// Store a new code for `normalizedContact` in place of any earlier one and
+// send it. `fields` are kept with the code for whoever checks it: { name,
+// isSignup } for sign-up and login, { userId } to add a contact to an account.
+// Returns the response body for the request.
+async function sendVerificationCode(normalizedContact, contactType, fields) {
+    const code = generateVerificationCode();
+    const codeHash = await bcrypt.hash(code, 10);
+    const now = Date.now();
+
+    // Remove old codes for this contact
+    verificationCodes = verificationCodes.filter(vc => vc.contact !== normalizedContact);
+
+    verificationCodes.push({
+        contact: normalizedContact,
+        codeHash,
+        expiresAt: new Date(now + CODE_TTL_MS),
+        attempts: 0,
+        lockedUntil: null,
+        used: false,
+        name: null,
+        isSignup: false,
+        userId: null,
+        ...fields,
+        createdAt: new Date(now)
+    });
+
+    saveData();
+
+    let delivery;
+    try {
+        delivery = await sendNotification({
+            channel: contactType === 'phone' ? 'sms' : 'email',
+            to: normalizedContact,
+            subject: 'Your SplitEase Verification Code',
+            text: `Your SplitEase verification code is: ${code}`,
+            html: `<p>Your SplitEase verification code is: <strong>${code}</strong></p>`
+        });
+    } catch (error) {
+        console.error('Error sending verification code:', error);
+        throw new ApiError(502, 'Failed to send verification code', { code: 'DELIVERY_FAILED' });
+    }
+
+    if (delivery.devMode) {
+        // Development mode - code was logged to the console
+        return {
+            success: true,
+            message: `Verification code sent via ${contactType === 'phone' ? 'SMS' : 'email'}`,
+            contactType,
+            devMode: true,
+            code: process.env.NODE_ENV === 'development' ? code : undefined
+        };
+    }
+
+    return {
+        success: true,
+        message: `Verification code sent via ${contactType}`,
+        contactType
+    };
+}
+
+// Check `code` against the outstanding code for `normalizedContact` and mark
+// it used. `accepts(verification)` says whether the code was sent for what the
+// caller is doing; other codes are treated as missing. Throws when the code
+// doesn't match, counting the attempt; returns the stored code when it does.
+async function useVerificationCode(normalizedContact, code, accepts) {
+    const verification = verificationCodes.find(vc => vc.contact === normalizedContact && !vc.used && accepts(vc));
+    const now = Date.now();
+
+    if (verification && verification.lockedUntil && new Date(verification.lockedUntil).getTime() > now) {
+        throw tooManyRequests(new Date(verification.lockedUntil).getTime() - now, 'Too many incorrect codes. Please try again later.', 'CODE_LOCKED');
+    }
+
+    if (!verification || verification.lockedUntil || new Date(verification.expiresAt).getTime() <= now) {
+        throw new ApiError(400, 'Invalid or expired verification code', { code: 'CODE_INVALID' });
+    }
+
+    // Count the attempt before the slow compare, so guesses sent side by side
+    // can't all get past the check above. The last allowed attempt locks the
+    // code for anyone after it, and burns it unless it turns out to be right.
+    verification.attempts += 1;
+    const attemptsRemaining = CODE_MAX_ATTEMPTS - verification.attempts;
+    if (attemptsRemaining <= 0) {
+        verification.lockedUntil = new Date(now + CODE_LOCKOUT_MS);
+    }
+    saveData();
+
+    if (!(await bcrypt.compare(String(code), verification.codeHash))) {
+        throw new ApiError(400, 'Invalid or expired verification code', { code: 'CODE_INVALID', attemptsRemaining: Math.max(attemptsRemaining, 0) });
+    }
+
+    // Another request may have used the code while it was being checked
+    if (verification.used) {
+        throw new ApiError(400, 'Invalid or expired verification code', { code: 'CODE_INVALID' });
+    }
+
+    verification.used = true;
+    verification.lockedUntil = null;
+    return verification;
+}
+
+// POST /api/auth/request-code - Request verification code
+app.post('/api/auth/request-code', validate({
+    summary: 'Send a sign-up or login code to a phone number or email',
+    body: object({
+        contact: contactSchema,
+        name: userNameSchema,
+        isSignup: boolean()
+    }, { required: ['contact'] })
+}), async (req, res) => {
+    const { contact, name, isSignup } = req.body;
+
+    const contactType = detectContactType(contact);
+    if (!contactType) {
+        throw new ApiError(400, 'Invalid phone number or email format', { code: 'INVALID_CONTACT' });
+    }
+
+    // For signup, require name
+    if (isSignup && !name) {
+        throw new ApiError(400, 'Name is required for signup', { code: 'VALIDATION_FAILED' });
+    }
+
+    // Normalize contact
+    const normalizedContact = normalizeContact(contact);
+    checkCodeRequestAllowed(req, normalizedContact);
+
+    // Check if user exists
+    const existingUser = users.find(u => 
+        u.phone === normalizedContact || u.email === normalizedContact
+    );
+
+    if (isSignup && existingUser) {
+        throw new ApiError(400, 'Account already exists. Try logging in instead.', { code: 'ACCOUNT_EXISTS' });
+    }
+
+    if (!isSignup && !existingUser) {
+        throw new ApiError(404, 'Account not found. Please sign up first.', { code: 'ACCOUNT_NOT_FOUND' });
+    }
+
+    res.json(await sendVerificationCode(normalizedContact, contactType, {
+        name: isSignup ? name : (existingUser ? existingUser.name : null),
+        isSignup
+    }));
+});
+
+// POST /api/auth/verify-code - Verify code and login/signup
+app.post('/api/auth/verify-code', validate({
+    summary: 'Exchange a verification code for access and refresh tokens',
+    body: object({
+        contact: contactSchema,
+        code: anyOf([string({ pattern: '^\\d{6}$' }), integer()], { description: 'the 6-digit code' })
+    }, { required: ['contact', 'code'] })
+}), async (req, res) => {
+    const { contact, code } = req.body;
+
+    const contactType = detectContactType(contact);
+    if (!contactType) {
+        throw new ApiError(400, 'Invalid phone number or email format', { code: 'INVALID_CONTACT' });
+    }
+    const normalizedContact = normalizeContact(contact);
+
+    // Codes sent to add a contact to an existing account don't log in
+    const verification = await useVerificationCode(normalizedContact, code, vc => !vc.userId);
+
+    let user;
+
+    if (verification.isSignup) {
+        // Create new user
+        user = {
+            id: Date.now().toString(),
+            name: verification.name,
+            [contactType]: normalizedContact,
+            primaryContact: contactType,
+            homeCurrency: DEFAULT_CURRENCY,
+            verified: true,
+            createdAt: new Date()
+        };
+        users.push(user);
+        linkParticipantsToUser(user);
+    } else {
+        // Find existing user
+        user = users.find(u => u.phone === normalizedContact || u.email === normalizedContact);
+        if (!user) {
+            throw new ApiError(404, 'User not found');
+        }
+    }
+
+    const session = createSession(user, req);
+    const tokens = issueTokens(session, user);
+    saveData();
+
+    res.json({
+        success: true,
+        message: verification.isSignup ? 'Account created successfully' : 'Logged in successfully',
+        ...tokens,
+        user: {
+            id: user.id,
+            name: user.name,
+            phone: user.phone || null,
+            email: user.email || null
+        }
+    });
+});
+
+// POST /api/auth/refresh - Exchange a refresh token for new tokens
+app.post('/api/auth/refresh', validate({
+    summary: 'Exchange a refresh token for new tokens',
+    body: object({ refreshToken: string({ minLength: 1, maxLength: 200 }) }, { required: ['refreshToken'] })
+}), (req, res) => {
+    const { refreshToken } = req.body;
+
+    const tokenHash = hashToken(refreshToken);
+    const session = sessions.find(s => s.refreshTokenHash === tokenHash);
+
+    if (!session) {
+        const reused = sessions.find(s => s.previousRefreshTokenHash === tokenHash);
+        if (reused && !reused.revokedAt) {
+            console.log(`🔒 Refresh token reused for session ${reused.id} - revoking it`);
+            revokeSession(reused);
+            saveData();
+        }
+        throw new ApiError(401, 'Invalid refresh token', { code: 'REFRESH_TOKEN_INVALID' });
+    }
+
+    if (!isSessionActive(session)) {
+        throw new ApiError(401, 'Session has ended. Please log in again.', { code: 'SESSION_ENDED' });
+    }
+
+    const user = users.find(u => u.id === session.userId);
+    if (!user) {
+        revokeSession(session);
+        saveData();
+        throw new ApiError(401, 'User not found', { code: 'SESSION_ENDED' });
+    }
+
+    session.lastUsedAt = new Date();
+    session.userAgent = req.get('user-agent') || session.userAgent;
+    session.ip = req.ip || session.ip;
+    const tokens = issueTokens(session, user);
+    saveData();
+
+    res.json({ success: true, ...tokens });
+});
+
+// POST /api/auth/logout - End the current session
+app.post('/api/auth/logout', authenticateToken, validate({ summary: 'End the current session' }), (req, res) => {
+    const session = sessions.find(s => s.id === req.user.sid);
+    revokeSession(session);
+    saveData();
+
+    res.json({ success: true, message: 'Logged out' });
+});
+
+// GET /api/auth/sessions - List the current user's active sessions
+app.get('/api/auth/sessions', authenticateToken, validate({ summary: "List the caller's active sessions" }), (req, res) => {
+    const active = sessions
+        .filter(s => s.userId === req.user.userId && isSessionActive(s))
+        .sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt))
+        .map(s => sessionSummary(s, req.user.sid));
+
+    res.json({ success: true, sessions: active });
+});
+
+// DELETE /api/auth/sessions/:id - Revoke one of the current user's sessions
+app.delete('/api/auth/sessions/:id', authenticateToken, validate({
+    summary: "Revoke one of the caller's sessions",
+    params: idParams
+}), (req, res) => {
+    const session = sessions.find(s => s.id === req.params.id && s.userId === req.user.userId);
+
+    if (!session || !isSessionActive(session)) {
+        throw new ApiError(404, 'Session not found');
+    }
+
+    revokeSession(session);
+    saveData();
+
+    res.json({ success: true, message: 'Session revoked', session: sessionSummary(session, req.user.sid) });
+});
+
+// ============= ACCOUNT ROUTES =============
+// A user signs up with a phone number or an email and can verify the other
+// later. Either one logs in; `primaryContact` names the one they prefer.
+
+const CONTACT_TYPES = ['email', 'phone'];
+// Shown in place of the name of someone who deleted their account
+const DELETED_USER_NAME = 'Deleted user';
+
+function accountSummary(user) {
+    return {
+        id: user.id,
+        name: user.name,
+        phone: user.phone || null,
+        email: user.email || null,
+        primaryContact: user.primaryContact,
+        homeCurrency: user.homeCurrency || DEFAULT_CURRENCY,
+        paymentHandles: user.paymentHandles || {},
+        createdAt: user.createdAt
+    };
+}
+
+function findAccount(req) {
+    const user = users.find(u => u.id === req.user.userId);
+    if (!user) {
+        throw new ApiError(404, 'User not found');
+    }
+    return user;
+}
+
+// Whose account, other than `user`'s, already uses `normalizedContact`
+function contactTakenBy(normalizedContact, user) {
+    return users.find(u => u.id !== user.id && (u.phone === normalizedContact || u.email === normalizedContact));
+}
+
+// Copy the user's current name and contacts onto the records that keep their
+// own copy: group memberships, their expenses and the links that pay them
+function syncUserDetails(user) {
+    const payer = { name: user.name, phone: user.phone || null, email: user.email || null };
+
+    groups.forEach(group => {
+        group.members
+            .filter(m => m.userId === user.id)
+            .forEach(member => Object.assign(member, payer));
+    });
+
+    expenses
+        .filter(e => e.paidBy.id === user.id)
+        .forEach(expense => {
+            Object.assign(expense.paidBy, payer);
+            paymentLinks
+                .filter(l => l.expenseId === expense.id)
+                .forEach(link => {
+                    link.payTo
+                        .filter(p => p.participant === 'me')
+                        .forEach(p => { p.name = payer.name; });
+                    if (link.payTo[0].participant === 'me') {
+                        Object.assign(link.paidBy, payer);
+                    }
+                });
+        });
+}
+
+// Stop an expense's links collecting for a payer who deleted their account,
+// `ref` being 'me' or their participant index. A link that still only owes
+// them is voided. One that also owes others keeps those debts, and the
+// deleted payer's part shrinks to what was already settled towards it.
+function dropDeletedPayee(expense, ref) {
+    linkHolders(expense)
+        .map(holder => paymentLinks.find(l => l.id === holder.paymentLink))
+        .filter(link => link && !link.voided && link.payTo.some(p => p.participant === ref))
+        .forEach(link => {
+            const payees = linkPayees(link);
+            const open = payees.filter(p => p.remaining > 0);
+            if (open.length === 0) {
+                return;
+            }
+            if (open.every(p => p.participant === ref)) {
+                voidPaymentLink(link, 'account-deleted');
+                return;
+            }
+            // Settlements fill payees in order, so the others keep what they had
+            const debts = payees
+                .map(p => ({ participant: p.participant, amount: p.participant === ref ? p.amountPaid + p.amountForgiven : p.amount }))
+                .filter(debt => debt.amount > 0);
+            setLinkPayees(link, expense, debts);
+            applyLinkPayments(link);
+        });
+}
+
+// Strip a deleted user's name and contacts from everything other people still
+// need. Expenses keep their amounts, shares and payment history; the user just
+// becomes DELETED_USER_NAME on them.
+function anonymizeUser(user) {
+    const contacts = [user.email, user.phone].filter(Boolean);
+    // Where they are listed on each expense, to find them in the history of
+    // revisions from before snapshots kept participants' accounts
+    const placesOnExpense = new Map(expenses.map(expense => [
+        expense.id,
+        expense.participants
+            .map((p, index) => ({ index, name: p.name, userId: p.userId }))
+            .filter(p => p.userId === user.id)
+    ]));
+
+    // Expenses they paid stay with their participants, but nobody can pay
+    // the deleted account any more
+    user.name = DELETED_USER_NAME;
+    delete user.email;
+    delete user.phone;
+    delete user.paymentHandles;
+    syncUserDetails(user);
+    const ownExpenses = expenses.filter(e => e.paidBy.id === user.id);
+    const ownExpenseIds = new Set(ownExpenses.map(e => e.id));
+    ownExpenses.forEach(expense => dropDeletedPayee(expense, 'me'));
+    // What they owe others who paid stays owed, without their contacts
+    ownExpenses
+        .filter(e => e.paidBy.paymentLink)
+        .map(e => paymentLinks.find(l => l.id === e.paidBy.paymentLink))
+        .forEach(link => Object.assign(link, { participantName: DELETED_USER_NAME, participantEmail: null, participantPhone: null }));
+    recurringExpenses
+        .filter(t => t.createdBy === user.id && t.status !== 'cancelled')
+        .forEach(template => {
+            template.status = 'cancelled';
+            template.cancelledAt = new Date();
+        });
+
+    // Their place on other people's expenses
+    expenses.forEach(expense => {
+        expense.participants
+            .filter(p => p.userId === user.id)
+            .forEach(participant => {
+                participant.name = DELETED_USER_NAME;
+                participant.email = null;
+                participant.phone = null;
+                participant.userId = null;
+                // Keeps them apart from other deleted users in balances
+                participant.deletedUserId = user.id;
+                const link = paymentLinks.find(l => l.id === participant.paymentLink);
+                if (link) {
+                    link.participantName = DELETED_USER_NAME;
+                    link.participantEmail = null;
+                    link.participantPhone = null;
+                }
+                // Links that pay them, when they paid for the expense
+                linkHolders(expense)
+                    .map(holder => paymentLinks.find(l => l.id === holder.paymentLink))
+                    .forEach(l => setLinkPayees(l, expense, l.payTo));
+                dropDeletedPayee(expense, expense.participants.indexOf(participant));
+            });
+    });
+
+    expenseRevisions
+        .filter(r => r.changedBy.id === user.id)
+        .forEach(revision => { revision.changedBy.name = DELETED_USER_NAME; });
+    // The participant lists in each revision's before and after snapshots:
+    // entries for their account or contacts, or for older snapshots, their
+    // place on the expense under the same name. Payers there are only
+    // participant indexes, so those need nothing.
+    expenseRevisions.forEach(revision => {
+        const places = placesOnExpense.get(revision.expenseId) || [];
+        const isThem = (p, index) =>
+            p.userId === user.id ||
+            (p.email && contacts.includes(p.email.toLowerCase())) ||
+            (p.userId === undefined && places.some(place => place.index === index && place.name === p.name));
+        const { participants } = revision.changes;
+        [participants && participants.from, participants && participants.to]
+            .filter(Array.isArray)
+            .forEach(list => list
+                .filter(isThem)
+                .forEach(p => Object.assign(p, { name: DELETED_USER_NAME, email: null }, p.userId === undefined ? {} : { userId: null })));
+    });
+
+    // Their comments go; the rest of the feed keeps them as DELETED_USER_NAME
+    const ownComments = new Set(comments.filter(c => c.author.id === user.id).map(c => c.id));
+    comments = comments.filter(c => !ownComments.has(c.id));
+    activities = activities.filter(a => !(a.type === 'comment.added' && ownComments.has(a.data.commentId)));
+    activities.forEach(activity => {
+        [activity.actor, activity.data.participant]
+            .filter(person => person && person.id === user.id)
+            .forEach(person => { person.name = DELETED_USER_NAME; });
+        activity.audience = activity.audience.filter(id => id !== user.id);
+    });
+
+    invitations.forEach(invitation => {
+        if (invitation.invitedBy.id === user.id) {
+            invitation.invitedBy.name = DELETED_USER_NAME;
+            if (invitation.status === 'pending') {
+                invitation.status = 'cancelled';
+            }
+        }
+        if (invitation.acceptedBy === user.id || contacts.includes(invitation.contact)) {
+            invitation.name = DELETED_USER_NAME;
+            invitation.contact = null;
+        }
+    });
+
+    // Messages to them, and reminders still waiting to go out for their expenses
+    outbox = outbox.filter(m => !contacts.includes(m.to));
+    outbox
+        .filter(m => m.status === 'pending' && ownExpenseIds.has(m.expenseId))
+        .forEach(message => { message.status = 'cancelled'; });
+
+    verificationCodes = verificationCodes.filter(vc => !contacts.includes(vc.contact) && vc.userId !== user.id);
+}
+
+// Hand a group on when its owner leaves: the longest-standing member takes
+// over, and a group with nobody left is archived
+function leaveGroups(user) {
+    groups
+        .filter(g => isGroupMember(g, user.id))
+        .forEach(group => {
+            group.members = group.members.filter(m => m.userId !== user.id);
+            if (group.createdBy !== user.id) {
+                return;
+            }
+            const [successor] = group.members;
+            if (successor) {
+                successor.role = 'owner';
+                group.createdBy = successor.userId;
+            } else if (!group.archived) {
+                group.archived = true;
+                group.archivedAt = new Date();
+            }
+        });
+}
+
+// GET /api/auth/me - Get current user info
+app.get('/api/auth/me', authenticateToken, validate({ summary: "The caller's account" }), (req, res) => {
+    res.json(accountSummary(findAccount(req)));
+});
+
+// PATCH /api/auth/me - Update current user's profile and settings
+app.patch('/api/auth/me', authenticateToken, validate({
+    summary: "Update the caller's profile and settings",
+    body: object({
+        name: userNameSchema,
+        primaryContact: string({ enum: CONTACT_TYPES, description: 'Which verified contact is primary' }),
+        homeCurrency: schema.currencyCode,
+        paymentHandles: paymentHandlesSchema
+    })
+}), (req, res) => {
+    const user = findAccount(req);
+    const { name, primaryContact, homeCurrency, paymentHandles } = req.body;
+
+    if (homeCurrency !== undefined) {
+        const code = String(homeCurrency).toUpperCase();
+        if (!isSupportedCurrency(code)) {
+            throw new ApiError(400, `Unsupported currency: ${homeCurrency}`, { code: 'UNSUPPORTED_CURRENCY' });
+        }
+        user.homeCurrency = code;
+    }
+
+    if (primaryContact !== undefined) {
+        if (!user[primaryContact]) {
+            throw new ApiError(400, `Add and verify ${primaryContact === 'email' ? 'an email address' : 'a phone number'} first`, { code: 'CONTACT_NOT_VERIFIED' });
+        }
+        user.primaryContact = primaryContact;
+    }
+
+    if (name !== undefined) {
+        user.name = name.trim();
+        syncUserDetails(user);
+    }
+
+    // Only the handles sent change; null removes one
+    if (paymentHandles !== undefined) {
+        const handles = { ...user.paymentHandles };
+        Object.entries(paymentHandles).forEach(([type, value]) => {
+            if (value === null) {
+                delete handles[type];
+            } else {
+                handles[type] = type === 'venmo' ? value.trim().replace(/^@/, '') : value.trim();
+            }
+        });
+        user.paymentHandles = handles;
+    }
+
+    user.updatedAt = new Date();
+    saveData();
+
+    res.json(accountSummary(user));
+});
+
+// POST /api/auth/me/contacts - Send a code to a phone number or email to add
+// to the account. An email replaces the current email once verified; the same
+// goes for a phone number.
+app.post('/api/auth/me/contacts', authenticateToken, validate({
+    summary: 'Send a verification code to a contact to add to the account',
+    body: object({ contact: contactSchema }, { required: ['contact'] })
+}), async (req, res) => {
+    const user = findAccount(req);
+
+    const contactType = detectContactType(req.body.contact);
+    if (!contactType) {
+        throw new ApiError(400, 'Invalid phone number or email format', { code: 'INVALID_CONTACT' });
+    }
+    const normalizedContact = normalizeContact(req.body.contact);
+
+    if (user[contactType] === normalizedContact) {
+        throw new ApiError(400, 'That contact is already on your account', { code: 'CONTACT_ALREADY_ADDED' });
+    }
+    if (contactTakenBy(normalizedContact, user)) {
+        throw new ApiError(409, 'That contact belongs to another account', { code: 'CONTACT_IN_USE' });
+    }
+
+    checkCodeRequestAllowed(req, normalizedContact);
+    res.json(await sendVerificationCode(normalizedContact, contactType, { userId: user.id }));
+});
+
+// POST /api/auth/me/contacts/verify - Add the contact a code was sent to
+app.post('/api/auth/me/contacts/verify', authenticateToken, validate({
+    summary: 'Verify a code and add its contact to the account',
+    body: object({
+        contact: contactSchema,
+        code: anyOf([string({ pattern: '^\\d{6}$' }), integer()], { description: 'the 6-digit code' })
+    }, { required: ['contact', 'code'] })
+}), async (req, res) => {
+    const user = findAccount(req);
+
+    const contactType = detectContactType(req.body.contact);
+    if (!contactType) {
+        throw new ApiError(400, 'Invalid phone number or email format', { code: 'INVALID_CONTACT' });
+    }
+    const normalizedContact = normalizeContact(req.body.contact);
+
+    await useVerificationCode(normalizedContact, req.body.code, vc => vc.userId === user.id);
+
+    // Someone may have signed up with it since the code was sent
+    if (contactTakenBy(normalizedContact, user)) {
+        saveData();
+        throw new ApiError(409, 'That contact belongs to another account', { code: 'CONTACT_IN_USE' });
+    }
+
+    user[contactType] = normalizedContact;
+    user.updatedAt = new Date();
+    syncUserDetails(user);
+    const linked = linkParticipantsToUser(user);
+    saveData();
+
+    res.json({
+        success: true,
+        message: `${contactType === 'phone' ? 'Phone number' : 'Email'} added`,
+        linkedExpenses: linked,
+        user: accountSummary(user)
+    });
+});
+
+// DELETE /api/auth/me/contacts/:type - Remove the contact that isn't primary
+app.delete('/api/auth/me/contacts/:type', authenticateToken, validate({
+    summary: 'Remove the secondary contact from the account',
+    params: object({ type: string({ enum: CONTACT_TYPES }) }, { required: ['type'] })
+}), (req, res) => {
+    const user = findAccount(req);
+    const { type } = req.params;
+
+    if (!user[type]) {
+        throw new ApiError(404, 'Contact not found');
+    }
+    if (user.primaryContact === type) {
+        throw new ApiError(400, 'Make the other contact primary before removing this one', { code: 'PRIMARY_CONTACT' });
+    }
+
+    delete user[type];
+    user.updatedAt = new Date();
+    syncUserDetails(user);
+    saveData();
+
+    res.json({ success: true, user: accountSummary(user) });
+});
+
+// GET /api/auth/me/export - Everything stored about the caller, as a JSON download
+app.get('/api/auth/me/export', authenticateToken, validate({ summary: "Download the caller's personal data" }), (req, res) => {
+    const user = findAccount(req);
+    const ownLinks = new Set();
+
+    const shared = expenses.filter(e => e.paidBy.id !== user.id && e.participants.some(p => p.userId === user.id));
+    expenses.forEach(expense => {
+        linkHolders(expense)
+            .filter(holder => holderUserId(expense, holder) === user.id)
+            .forEach(holder => ownLinks.add(holder.paymentLink));
+    });
+
+    const data = {
+        exportedAt: new Date(),
+        account: {
+            ...accountSummary(user),
+            updatedAt: user.updatedAt || null,
+            reminderSettings: reminderSettings(user),
+            categories: user.categories || []
+        },
+        sessions: sessions
+            .filter(s => s.userId === user.id && isSessionActive(s))
+            .map(s => sessionSummary(s, req.user.sid)),
+        groups: groups.filter(g => isGroupMember(g, user.id)),
+        expensesPaid: expenses.filter(e => e.paidBy.id === user.id),
+        expensesShared: shared.map(e => expenseForViewer(e, user.id)),
+        payments: paymentLinks
+            .filter(l => ownLinks.has(l.id))
+            .map(l => ({ paymentLinkId: l.id, expenseId: l.expenseId, amount: l.amount, currency: l.currency, ...linkSettlement(l), payments: l.payments || [] })),
+        recurringExpenses: recurringExpenses.filter(t => t.createdBy === user.id),
+        comments: comments.filter(c => c.author.id === user.id),
+        invitationsSent: invitations.filter(i => i.invitedBy.id === user.id).map(invitationSummary)
+    };
+
+    res.attachment(`splitease-account-${formatDateOnly(new Date())}.json`);
+    res.json(data);
+});
+
+// DELETE /api/auth/me - Delete the account. Send the primary phone number or
+// email as `confirm`. Other people's expenses keep the user as
+// DELETED_USER_NAME; every session ends.
+app.delete('/api/auth/me', authenticateToken, validate({
+    summary: "Delete the caller's account",
+    body: object({ confirm: contactSchema }, { required: ['confirm'] })
+}), (req, res) => {
+    const user = findAccount(req);
+
+    if (normalizeContact(req.body.confirm) !== user[user.primaryContact]) {
+        throw new ApiError(400, 'Send your primary phone number or email as confirm to delete your account', { code: 'CONFIRMATION_REQUIRED' });
+    }
+
+    sessions
+        .filter(s => s.userId === user.id)
+        .forEach(revokeSession);
+    sessions = sessions.filter(s => s.userId !== user.id);
+
+    leaveGroups(user);
+    anonymizeUser(user);
+    users = users.filter(u => u.id !== user.id);
+    saveData();
+    console.log(`🗑️  Deleted account ${user.id}`);
+
+    res.json({ success: true, message: 'Your account has been deleted' });
+});
+
+// ============= LIVE EVENTS =============
+
+// Server-Sent Events for signed-in clients. Each stream belongs to one user
+// and session, and events are only published to users who can see the
+// expense they concern. Recent events are kept so a client reconnecting with
+// Last-Event-ID catches up on what it missed.
+const EVENT_HEARTBEAT_MS = 25 * 1000;
+const EVENT_BACKLOG_SIZE = 500;
+// Event ids are "<epoch>.<n>"; ids from before a restart can't be replayed
+const EVENT_EPOCH = Date.now().toString(36);
+
+const eventStreams = new Set();
+const recentEvents = [];
+let lastEventNumber = 0;
+
+function writeEvent(res, event) {
+  res.write(`id: ${EVENT_EPOCH}.${event.number}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+// Send an event to each user in `userIds`. `data` is the payload, or a
+// function of the recipient's id when what they may see differs.
+function publishEvent(type, userIds, data) {
+  new Set(userIds.filter(Boolean)).forEach(userId => {
+    const event = {
+      number: ++lastEventNumber,
+      type,
+      userId,
+      data: typeof data === 'function' ? data(userId) : data
+    };
+    recentEvents.push(event);
+    eventStreams.forEach(stream => {
+      if (stream.userId === userId) {
+        writeEvent(stream.res, event);
+      }
+    });
+  });
+  recentEvents.splice(0, Math.max(recentEvents.length - EVENT_BACKLOG_SIZE, 0));
+}
+
+// Everyone who can see an expense (see expenseAccess)
+function expenseAudience(expense) {
+  const group = expense.groupId && groups.find(g => g.id === expense.groupId);
+  return [
+    expense.paidBy.id,
+    ...(group ? group.members.map(m => m.userId) : []),
+    ...expense.participants.map(p => p.userId)
+  ];
+}
+
+function publishExpenseEvent(type, expense, audience = expenseAudience(expense)) {
+  publishEvent(type, audience, userId => ({ expense: expenseForViewer(expense, userId) }));
+}
+
+// A payment link's settlement changed
+function publishPaymentEvent(link) {
+  const expense = findExpenseForLink(link);
+  const participant = expense && linkHolders(expense).find(p => p.paymentLink === link.id);
+  if (!participant) {
+    return;
+  }
+  const settlement = linkSettlement(link);
+  publishEvent('payment.updated', expenseAudience(expense), userId => ({
+    expenseId: expense.id,
+    // Participants only see their own link, as in expenseForViewer
+    paymentLinkId: expenseAccess(expense, userId) !== 'participant' || participant.userId === userId ? link.id : null,
+    participantName: participant.name,
+    amount: link.amount,
+    currency: link.currency,
+    ...settlement,
+    paymentStatus: link.paymentStatus || null,
+    markedSent: link.markedSent || null
+  }));
+}
+
+function endEventStream(stream, reason) {
+  stream.res.write(`event: end\ndata: ${JSON.stringify({ reason })}\n\n`);
+  stream.res.end();
+  eventStreams.delete(stream);
+}
+
+// Close streams whose access token or session has run out. The client
+// refreshes its token and reconnects.
+function checkEventStreams(now = Date.now()) {
+  eventStreams.forEach(stream => {
+    const session = sessions.find(s => s.id === stream.sessionId);
+    if (!session || !isSessionActive(session, now)) {
+      endEventStream(stream, 'session-ended');
+    } else if (stream.expiresAt <= now) {
+      endEventStream(stream, 'token-expired');
+    } else {
+      stream.res.write(': ping\n\n');
+    }
+  });
+}
+
+// EventSource can't set headers, so /api/events also takes ?access_token=
+function tokenFromQuery(req, res, next) {
+  if (!req.headers['authorization'] && typeof req.query.access_token === 'string') {
+    req.headers['authorization'] = `Bearer ${req.query.access_token}`;
+  }
+  next();
+}
+
+// Live events for the caller as Server-Sent Events: expense.created,
+// expense.updated, expense.deleted, payment.updated, reminder.sent and
+// comment.added.
+// The stream ends with an 'end' event when the access token expires.
+app.get('/api/events', tokenFromQuery, authenticateToken, validate({
+  summary: 'Live updates for the caller as Server-Sent Events',
+  query: object({
+    access_token: string({ description: 'Access token, for clients that cannot set the Authorization header' }),
+    lastEventId: string({ maxLength: 100, description: 'Resume after this event (or send Last-Event-ID)' })
+  })
+}), (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+  
+  const stream = {
+    res,
+    userId: req.user.userId,
+    sessionId: req.user.sid,
+    expiresAt: req.user.exp * 1000
+  };
+  
+  const [epoch, number] = String(req.get('last-event-id') || req.query.lastEventId || '').split('.');
+  if (epoch === EVENT_EPOCH) {
+    recentEvents
+      .filter(e => e.userId === stream.userId && e.number > Number(number))
+      .forEach(event => writeEvent(res, event));
+  }
+  
+  eventStreams.add(stream);
+  res.on('close', () => eventStreams.delete(stream));
+});
+
+// ============= ACTIVITY ROUTES =============
+// A lasting record of what happened on expenses, kept per event with the users
+// it concerns. Unlike live events, the feed survives restarts. Each user has a
+// read marker; activity after it by someone else is unread.
+
+const ACTIVITY_TYPES = ['expense.created', 'payment.received', 'payment.sent', 'reminder.sent', 'comment.added'];
+const ACTIVITY_PAGE_SIZE = 50;
+const MAX_ACTIVITY_PAGE_SIZE = 200;
+
+// Add an event to the feed of everyone who can see `expense` (or `audience`).
+// `actor` is the { id, name } who caused it, or null for the server itself.
+function recordActivity(type, expense, actor, data = {}, audience = expenseAudience(expense)) {
+  const activity = {
+    id: uniqueId(activities),
+    type,
+    expenseId: expense.id,
+    description: expense.description,
+    actor: actor ? { id: actor.id || null, name: actor.name } : null,
+    data,
+    audience: [...new Set(audience.filter(Boolean))],
+    createdAt: new Date().toISOString()
+  };
+  activities.push(activity);
+  return activity;
+}
+
+function isUnreadActivity(activity, user) {
+  return (!user.activityReadAt || activity.createdAt > user.activityReadAt) &&
+    !(activity.actor && activity.actor.id === user.id);
+}
+
+// The caller's activity feed, newest first, a page of ?limit= at a time; pass
+// the returned nextCursor as ?cursor= for the next page. ?unread=true lists
+// only unread activity, ?type= (may repeat) narrows it to those types.
+app.get('/api/activity', authenticateToken, validate({
+  summary: "The caller's activity feed",
+  query: object({
+    type: array(string({ enum: ACTIVITY_TYPES })),
+    unread: boolean(),
+    limit: integer({ minimum: 1, maximum: MAX_ACTIVITY_PAGE_SIZE }),
+    cursor: string({ maxLength: 1000 })
+  })
+}), (req, res) => {
+  const user = users.find(u => u.id === req.user.userId);
+  if (!user) {
+    throw new ApiError(404, 'User not found');
+  }
+  const types = [].concat(req.query.type || []);
+  const unreadOnly = req.query.unread === 'true';
+  const limit = req.query.limit === undefined ? ACTIVITY_PAGE_SIZE : Number(req.query.limit);
+  
+  const position = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+  if (req.query.cursor && (!position || position.sort !== 'activity')) {
+    throw new ApiError(400, 'Invalid cursor', { code: 'INVALID_CURSOR' });
+  }
+  
+  const feed = activities.filter(a => a.audience.includes(user.id));
+  const matching = feed
+    .filter(a => (types.length === 0 || types.includes(a.type)) && (!unreadOnly || isUnreadActivity(a, user)))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id));
+  
+  // Newest first, so the next page starts after the cursor's position
+  const start = position
+    ? matching.findIndex(a => a.createdAt < position.value || (a.createdAt === position.value && a.id < position.id))
+    : 0;
+  const page = start < 0 ? [] : matching.slice(start, start + limit);
+  const last = page[page.length - 1];
+  const hasMore = start >= 0 && start + limit < matching.length;
+  
+  res.json({
+    success: true,
+    count: page.length,
+    unreadCount: feed.filter(a => isUnreadActivity(a, user)).length,
+    readUpTo: user.activityReadAt || null,
+    activities: page.map(({ audience, ...activity }) => ({ ...activity, unread: isUnreadActivity(activity, user) })),
+    nextCursor: hasMore ? encodeCursor({ sort: 'activity', value: last.createdAt, id: last.id }) : null
+  });
+});
+
+// Move the caller's read marker up to `activityId`, or to now without one.
+// The marker never moves back.
+app.post('/api/activity/read', authenticateToken, validate({
+  summary: 'Mark the activity feed read',
+  body: object({ activityId: schema.id })
+}), (req, res) => {
+  const user = users.find(u => u.id === req.user.userId);
+  if (!user) {
+    throw new ApiError(404, 'User not found');
+  }
+  
+  let readUpTo = new Date().toISOString();
+  if (req.body.activityId) {
+    const activity = activities.find(a => a.id === req.body.activityId && a.audience.includes(user.id));
+    if (!activity) {
+      throw new ApiError(404, 'Activity not found');
+    }
+    readUpTo = activity.createdAt;
+  }
+  
+  if (!user.activityReadAt || readUpTo > user.activityReadAt) {
+    user.activityReadAt = readUpTo;
+    saveData();
+  }
+  
+  res.json({
+    success: true,
+    readUpTo: user.activityReadAt,
+    unreadCount: activities.filter(a => a.audience.includes(user.id) && isUnreadActivity(a, user)).length
+  });
+});
+
+// ============= UPDATED: EXPENSE ROUTES (Now with Authentication) =============
+
+// Unguessable link token: 128 random bits, URL-safe
+function generateLinkToken() {
+  return crypto.randomBytes(16).toString('base64url');
+}
+
+function paymentLinkExpiry(from = new Date()) {
+  return new Date(from.getTime() + PAYMENT_LINK_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Create and store the payment link for what one person owes. `debts` lists
+// who it pays, as returned by expenseDebts().
+function createPaymentLink(expense, participant, debts) {
+  const paymentLink = {
+    id: generateLinkToken(),
+    expenseId: expense.id,
+    participantName: participant.name,
+    participantEmail: participant.email || null,
+    participantPhone: participant.phone ? normalizeContact(participant.phone) : null,
+    currency: expense.currency,
+    description: expense.description,
+    used: false,
+    payments: [],
+    createdAt: new Date(),
+    expiresAt: paymentLinkExpiry()
+  };
+  setLinkPayees(paymentLink, expense, debts);
+  
+  paymentLinks.push(paymentLink);
+  return paymentLink;
+}
+
+// A person on an expense by the reference payers use: a participant index,
+// or 'me' for the person who logged it
+function expensePerson(expense, ref) {
+  return ref === 'me' ? expense.paidBy : expense.participants[ref];
+}
+
+// Point a link at the people it pays: `payTo` holds { participant, name,
+// amount } per payer and `amount` their total. `paidBy` keeps the first payer
+// for clients that show a single recipient.
+function setLinkPayees(link, expense, debts) {
+  link.payTo = debts.map(({ participant, amount }) => ({ participant, name: expensePerson(expense, participant).name, amount }));
+  link.amount = debts.reduce((sum, debt) => sum + debt.amount, 0);
+  const first = expensePerson(expense, debts[0].participant);
+  link.paidBy = { name: first.name, phone: first.phone || null, email: first.email || null };
+}
+
+// Check who paid an expense and how much: a list of { participant, amount }
+// with `participant` a participant index or 'me', adding up to `total`.
+// Without one, the person logging the expense paid it all. Returns { value }
+// or { error }.
+function validatePayers(payers, participantCount, total) {
+  if (payers === undefined || payers === null) {
+    return { value: [{ participant: 'me', amount: total }] };
+  }
+  if (!Array.isArray(payers) || payers.length === 0) {
+    return { error: 'payers must list at least one person' };
+  }
+  
+  const seen = new Set();
+  for (const { participant, amount } of payers) {
+    if (participant !== 'me' && !(Number.isInteger(participant) && participant >= 0 && participant < participantCount)) {
+      return { error: `Payers must be participant indexes or 'me' (got ${participant})` };
+    }
+    if (seen.has(participant)) {
+      return { error: `${participant === 'me' ? "'me'" : `Participant ${participant}`} is listed as a payer more than once` };
+    }
+    if (!Number.isInteger(amount) || amount <= 0) {
+      return { error: 'Each payer needs a positive whole number of cents' };
+    }
+    seen.add(participant);
+  }
+  
+  const sum = payers.reduce((total, payer) => total + payer.amount, 0);
+  if (sum !== total) {
+    return { error: `Payers must add up to the expense total of ${total} cents (got ${sum})` };
+  }
+  return { value: payers.map(({ participant, amount }) => ({ participant, amount })) };
+}
+
+// Everyone on an expense who has a payment link for what they owe: its
+// participants, and the person who logged it when someone else paid
+function linkHolders(expense) {
+  return [...expense.participants, expense.paidBy].filter(p => p.paymentLink);
+}
+
+// The account of someone from linkHolders(), or null/undefined for none
+function holderUserId(expense, holder) {
+  return holder === expense.paidBy ? holder.id : holder.userId;
+}
+
+// Participant entry stored on the expense. `userId` is the registered account
+// with the participant's email or phone, resolved here rather than trusted
+// from the request. `itemized` is their { subtotal, tax, tip } for an
+// itemized split. Someone who owes nothing has no link and counts as paid.
+function buildParticipant(participant, amount, paymentLinkId, splitType, itemized) {
+  const user = findUserForContact(participant);
+  const entry = {
+    name: participant.name,
+    email: participant.email,
+    userId: user ? user.id : null,
+    amount: amount,
+    paymentLink: paymentLinkId,
+    paid: !paymentLinkId,
+    status: paymentLinkId ? 'unpaid' : 'paid',
+    amountPaid: 0
+  };
+  if (participant.phone) {
+    entry.phone = normalizeContact(participant.phone) || participant.phone;
+  }
+  if (splitType === 'percentage' || splitType === 'shares') {
+    entry[splitType] = Number(participant[splitType]);
+  }
+  if (itemized) {
+    entry.itemized = itemized;
+  }
+  return entry;
+}
+
+// What an expense keeps of an itemized split: the items, tax and tip, plus
+// the payer's own { subtotal, tax, tip }. Null for other split types.
+function storedItemization(split) {
+  if (!split.itemization) {
+    return null;
+  }
+  return { ...split.itemization, payer: split.breakdown[split.breakdown.length - 1] };
+}
+
+// A cancelled link can no longer be viewed or paid. `reason` is one of
+// 'expense-edited', 'expense-deleted', 'revoked' or 'regenerated'.
+function voidPaymentLink(link, reason) {
+  link.voided = true;
+  link.voidedAt = new Date();
+  link.voidedReason = reason;
+}
+
+// The parts of an expense that revisions track. The group and participants'
+// accounts also say who may read the history once the expense is deleted.
+function expenseSnapshot(expense) {
+  return {
+    description: expense.description,
+    amount: expense.amount,
+    currency: expense.currency,
+    groupId: expense.groupId || null,
+    splitType: expense.splitType,
+    payerAmount: expense.payerAmount,
+    participants: expense.participants.map(p => ({ name: p.name, email: p.email || null, userId: p.userId || null, amount: p.amount })),
+    payers: expense.payers,
+    itemization: expense.itemization ? { items: expense.itemization.items, tax: expense.itemization.tax, tip: expense.itemization.tip } : null,
+    expenseDate: expense.expenseDate,
+    category: expense.category,
+    tags: expense.tags,
+    notes: expense.notes
+  };
+}
+
+// Append to an expense's audit trail. `changes` maps field -> { from, to }.
+function recordRevision(expense, action, user, changes) {
+  const revision = {
+    id: Math.random().toString(36).substr(2, 10),
+    expenseId: expense.id,
+    action,
+    changedBy: { id: user.id, name: user.name },
+    changes,
+    createdAt: new Date()
+  };
+  expenseRevisions.push(revision);
+  return revision;
+}
+
+// Field-by-field difference between two expense snapshots ({} for none)
+function diffSnapshots(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  fields.forEach(field => {
+    const from = before[field] === undefined ? null : before[field];
+    const to = after[field] === undefined ? null : after[field];
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  });
+  return changes;
+}
+
+// Built-in expense categories; users can add their own (see CATEGORY ROUTES)
+const BUILT_IN_CATEGORIES = [
+  'food', 'groceries', 'transport', 'travel', 'accommodation', 'entertainment',
+  'utilities', 'rent', 'shopping', 'health', 'gifts', 'other'
+];
+const MAX_CATEGORY_LENGTH = 40;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+const MAX_NOTES_LENGTH = 2000;
+
+function normalizeCategory(name) {
+  return String(name).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Categories `user` can file expenses under
+function userCategories(user) {
+  return [...BUILT_IN_CATEGORIES, ...(user.categories || [])];
+}
+
+// Validate the optional descriptive fields of an expense - category, tags,
+// notes and expenseDate (YYYY-MM-DD). Only fields present in `input` are
+// returned. Returns { error } or { value }.
+function validateExpenseDetails(user, input) {
+  const value = {};
+  
+  if (input.category !== undefined) {
+    const category = input.category === null || input.category === '' ? null : normalizeCategory(input.category);
+    if (category !== null && !userCategories(user).includes(category)) {
+      return { error: `Unknown category: ${input.category}` };
+    }
+    value.category = category;
+  }
+  
+  if (input.tags !== undefined) {
+    if (!Array.isArray(input.tags) || input.tags.some(t => typeof t !== 'string')) {
+      return { error: 'tags must be an array of strings' };
+    }
+    const tags = [...new Set(input.tags.map(t => t.trim().toLowerCase()).filter(Boolean))];
+    if (tags.length > MAX_TAGS || tags.some(t => t.length > MAX_TAG_LENGTH)) {
+      return { error: `An expense can have at most ${MAX_TAGS} tags of up to ${MAX_TAG_LENGTH} characters` };
+    }
+    value.tags = tags;
+  }
+  
+  if (input.notes !== undefined) {
+    if (input.notes !== null && typeof input.notes !== 'string') {
+      return { error: 'notes must be text' };
+    }
+    if (input.notes && input.notes.length > MAX_NOTES_LENGTH) {
+      return { error: `notes can be at most ${MAX_NOTES_LENGTH} characters` };
+    }
+    value.notes = input.notes ? input.notes.trim() || null : null;
+  }
+  
+  if (input.expenseDate !== undefined) {
+    if (!parseDateOnly(input.expenseDate)) {
+      return { error: 'expenseDate must be a date in YYYY-MM-DD format' };
+    }
+    value.expenseDate = input.expenseDate;
+  }
+  
+  return { value };
+}
+
+// Request shape of an expense. validateExpenseInput() and calculateSplit()
+// check what a schema can't: that the split adds up, that the category
+// exists and that the caller belongs to the group.
+const participantSchema = object({
+  name: string({ minLength: 1, maxLength: 100 }),
+  email: nullable(string({ format: 'email', maxLength: 254 })),
+  phone: nullable(string({ maxLength: 30 })),
+  percentage: schema.number({ minimum: 0, maximum: 100 }),
+  shares: schema.number({ minimum: 0 }),
+  amount: schema.cents,
+  paymentLink: schema.id
+}, { required: ['name'] });
+
+const receiptItemSchema = object({
+  description: string({ minLength: 1, maxLength: 200 }),
+  amount: integer({ minimum: 1 }),
+  assignedTo: array(anyOf([integer({ minimum: 0 }), string({ enum: ['payer'] })]), { minItems: 1 })
+}, { required: ['description', 'amount', 'assignedTo'] });
+
+const payerSchema = object({
+  participant: anyOf([integer({ minimum: 0 }), string({ enum: ['me'] })], { description: "a participant index or 'me'" }),
+  amount: integer({ minimum: 1, description: 'What they paid, in minor units (cents)' })
+}, { required: ['participant', 'amount'] });
+
+const expenseFields = {
+  description: string({ minLength: 1, maxLength: 200 }),
+  amount: integer({ minimum: 1, description: 'Total in minor units (cents)' }),
+  currency: schema.currencyCode,
+  participants: array(participantSchema, { minItems: 1, maxItems: 100 }),
+  splitType: string({ enum: SPLIT_TYPES }),
+  payerShare: nullable(schema.number({ minimum: 0, description: "The payer's own percentage, shares or amount" })),
+  payers: array(payerSchema, { minItems: 1, maxItems: 101, description: "Who paid and how much; defaults to the caller paying it all ('me')" }),
+  groupId: nullable(schema.id),
+  items: array(receiptItemSchema, { minItems: 1, maxItems: MAX_RECEIPT_ITEMS }),
+  tax: schema.cents,
+  tip: schema.cents,
+  category: nullable(string({ maxLength: MAX_CATEGORY_LENGTH })),
+  tags: array(string({ maxLength: MAX_TAG_LENGTH })),
+  notes: nullable(string({ maxLength: MAX_NOTES_LENGTH })),
+  expenseDate: schema.dateOnly
+};
+const expenseSchema = object(expenseFields, { required: ['description', 'amount', 'participants'] });
+const expenseChangesSchema = object(expenseFields);
+
+// ?from= and ?to= as read by parseDateRange()
+const dateRangeQuery = {
+  from: schema.dateOnly,
+  to: schema.dateOnly
+};
+
+// Validate the input for a new expense paid by `user`. Returns { status, error }
+// when it is rejected, otherwise { value } ready for createExpense().
+function validateExpenseInput(user, input) {
+  const { description, amount, participants, splitType = 'equal', payerShare, payers, groupId, currency, items, tax, tip } = input;
+  
+  // Basic validation
+  if (!description || !amount || !participants || participants.length === 0) {
+    return { status: 400, error: 'Missing required fields' };
+  }
+  
+  if (!Number.isInteger(amount) || amount <= 0) {
+    return { status: 400, error: 'Amount must be a positive whole number of cents' };
+  }
+  
+  const expenseCurrency = String(currency || user.homeCurrency || DEFAULT_CURRENCY).toUpperCase();
+  if (!isSupportedCurrency(expenseCurrency)) {
+    return { status: 400, error: `Unsupported currency: ${currency}`, code: 'UNSUPPORTED_CURRENCY' };
+  }
+  
+  let group = null;
+  if (groupId) {
+    group = groups.find(g => g.id === groupId);
+    if (!group || !isGroupMember(group, user.id)) {
+      return { status: 404, error: 'Group not found' };
+    }
+    if (group.archived) {
+      return { status: 400, error: 'Cannot add expenses to an archived group', code: 'GROUP_ARCHIVED' };
+    }
+  }
+  
+  if (!SPLIT_TYPES.includes(splitType)) {
+    return { status: 400, error: `Invalid split type. Use one of: ${SPLIT_TYPES.join(', ')}` };
+  }
+  
+  // Calculate amounts - including the payer in the split
+  const split = calculateSplit(amount, participants, splitType, payerShare, { items, tax, tip });
+  if (split.error) {
+    return { status: 400, error: split.error, code: 'INVALID_SPLIT' };
+  }
+  
+  const paid = validatePayers(payers, participants.length, amount);
+  if (paid.error) {
+    return { status: 400, error: paid.error, code: 'INVALID_PAYERS' };
+  }
+  
+  const details = validateExpenseDetails(user, input);
+  if (details.error) {
+    return { status: 400, error: details.error };
+  }
+  
+  return {
+    value: { description, amount, currency: expenseCurrency, participants, splitType, payerShare, payers: paid.value, group, split, details: details.value }
+  };
+}
+
+// Next free id in a collection. Ids are millisecond timestamps, bumped when
+// several records are created in the same millisecond.
+function uniqueId(collection) {
+  let id = Date.now();
+  while (collection.some(item => item.id === id.toString())) {
+    id += 1;
+  }
+  return id.toString();
+}
+
+// Store a validated expense logged by `user` and create a payment link for
+// everyone who owes one of its payers. `extra` is merged into the expense
+// (e.g. recurring template references).
+function createExpense(user, value, extra = {}) {
+  const { description, amount, currency, participants, splitType, payerShare, payers, group, split, details = {} } = value;
+  
+  const expense = {
+    id: uniqueId(expenses),
+    description: description,
+    amount: amount,
+    currency: currency,
+    expenseDate: details.expenseDate || formatDateOnly(new Date()),
+    category: details.category || null,
+    tags: details.tags || [],
+    notes: details.notes || null,
+    exchangeRates: snapshotExchangeRates(),
+    participants: [],
+    paidBy: {
+      id: user.id,
+      name: user.name,
+      phone: user.phone,
+      email: user.email
+    },
+    payerAmount: split.payerAmount,
+    payerShare: ['equal', 'itemized'].includes(splitType) ? null : Number(payerShare || 0),
+    payers: payers,
+    itemization: storedItemization(split),
+    receipts: [],
+    groupId: group ? group.id : null,
+    splitType: splitType,
+    createdAt: new Date(),
+    totalPeople: participants.length + 1, // +1 for the person who paid
+    ...extra
+  };
+  
+  expense.participants = participants.map((participant, index) =>
+    buildParticipant(participant, split.participantAmounts[index], null, splitType, split.breakdown && split.breakdown[index])
+  );
+  
+  // Links are made once everyone is listed, as a payer may come later
+  const debts = expenseDebts(split.participantAmounts, split.payerAmount, payers);
+  expense.participants.forEach((participant, index) => {
+    if (debts.get(index).length > 0) {
+      const paymentLink = createPaymentLink(expense, participant, debts.get(index));
+      Object.assign(participant, { paymentLink: paymentLink.id, paid: false, status: 'unpaid' });
+    }
+  });
+  expense.paidBy.paymentLink = debts.get('me').length > 0
+    ? createPaymentLink(expense, expense.paidBy, debts.get('me')).id
+    : null;
+  
+  expenses.push(expense);
+  recordRevision(expense, 'created', user, diffSnapshots({}, expenseSnapshot(expense)));
+  recordActivity('expense.created', expense, user, { amount: expense.amount, currency: expense.currency });
+  return expense;
+}
+
+// Create a new expense (NOW REQUIRES AUTHENTICATION)
+app.post('/api/expenses', authenticateToken, validate({
+  summary: 'Create an expense, paid by the caller unless payers says otherwise',
+  status: 201,
+  body: expenseSchema
+}), (req, res) => {
+  // Get full user info
+  const user = users.find(u => u.id === req.user.userId);
+  if (!user) {
+    throw new ApiError(404, 'User not found');
+  }
+  
+  const result = validateExpenseInput(user, req.body);
+  if (result.error) {
+    throw new ApiError(result.status, result.error, { code: result.code });
+  }
+  
+  const expense = createExpense(user, result.value);
+  saveData();
+  publishExpenseEvent('expense.created', expense);
+  
+  res.status(201).json({ 
+    success: true, 
+    expense: expense,
+    message: 'Expense created successfully!'
+  });
+});
+
+const EXPENSE_SORTS = ['date', 'createdAt', 'amount', 'description'];
+const EXPENSE_PAGE_SIZE = 50;
+const MAX_EXPENSE_PAGE_SIZE = 200;
+
+// Value an expense list is ordered by; amounts compare in `currency`
+function expenseSortValue(expense, sort, currency) {
+  if (sort === 'amount') {
+    return convertExpenseAmount(expense, expense.amount, currency);
+  }
+  if (sort === 'createdAt') {
+    return new Date(expense.createdAt).toISOString();
+  }
+  if (sort === 'description') {
+    return expense.description.toLowerCase();
+  }
+  return expenseDay(expense);
+}
+
+// Cursors are opaque to clients: the sort position of the last expense returned
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return position && typeof position.id === 'string' ? position : null;
+  } catch {
+    return null;
+  }
+}
+
+// Does `expense` list a participant matching `value` - a user id, email,
+// phone number, or part of their name?
+function hasParticipantMatching(expense, value) {
+  const text = String(value).trim().toLowerCase();
+  const contact = normalizeContact(String(value).trim());
+  return expense.participants.some(p =>
+    p.userId === value ||
+    (contact && (p.email && p.email.toLowerCase() === contact || p.phone === contact)) ||
+    String(p.name).toLowerCase().includes(text)
+  );
+}
+
+// Get expenses the user paid for, is a participant in, or that are in their
+// groups. Filters: ?q= (description text), ?groupId=, ?category=, ?tag= (may
+// repeat; all must match), ?from= and ?to= (expense date), ?participant=,
+// ?status=paid|unpaid. Ordered by ?sort= (date, createdAt, amount or
+// description) and ?order= (desc by default), a page of ?limit= at a time;
+// pass the returned nextCursor as ?cursor= for the next page.
+app.get('/api/expenses', authenticateToken, validate({
+  summary: 'List expenses the caller can see',
+  query: object({
+    q: string({ maxLength: 200 }),
+    groupId: schema.id,
+    category: string({ maxLength: MAX_CATEGORY_LENGTH }),
+    tag: array(string({ maxLength: MAX_TAG_LENGTH })),
+    ...dateRangeQuery,
+    participant: string({ maxLength: 254 }),
+    status: string({ enum: ['paid', 'unpaid'] }),
+    sort: string({ enum: EXPENSE_SORTS }),
+    order: string({ enum: ['asc', 'desc'] }),
+    limit: integer({ minimum: 1, maximum: MAX_EXPENSE_PAGE_SIZE }),
+    cursor: string({ maxLength: 1000 })
+  })
+}), (req, res) => {
+  const userId = req.user.userId;
+  const user = users.find(u => u.id === userId);
+  const currency = (user && user.homeCurrency) || DEFAULT_CURRENCY;
+  const { groupId, q, category, participant, status, sort = 'date', order = 'desc', cursor } = req.query;
+  const tags = [].concat(req.query.tag || []).map(t => String(t).trim().toLowerCase());
+  const limit = req.query.limit === undefined ? EXPENSE_PAGE_SIZE : Number(req.query.limit);
+  
+  const range = parseDateRange(req.query);
+  if (range.error) {
+    throw new ApiError(400, range.error, { code: 'VALIDATION_FAILED' });
+  }
+  const position = cursor ? decodeCursor(cursor) : null;
+  if (cursor && (!position || position.sort !== sort || position.order !== order)) {
+    throw new ApiError(400, 'Invalid cursor for this sort order', { code: 'INVALID_CURSOR' });
+  }
+  
+  const search = q ? String(q).trim().toLowerCase() : '';
+  const matching = expenses.filter(expense =>
+    canViewExpense(expense, userId) &&
+    (!groupId || expense.groupId === groupId) &&
+    (!search || expense.description.toLowerCase().includes(search)) &&
+    (!category || expense.category === normalizeCategory(category)) &&
+    tags.every(tag => (expense.tags || []).includes(tag)) &&
+    inDateRange(expense, range) &&
+    (!participant || hasParticipantMatching(expense, participant)) &&
+    (!status || (status === 'paid') === linkHolders(expense).every(p => participantOutstanding(p) === 0))
+  );
+  
+  // Ties on the sort value are broken by id so every expense has one position
+  const direction = order === 'asc' ? 1 : -1;
+  const compare = (a, b) => {
+    const byValue = a.value < b.value ? -1 : (a.value > b.value ? 1 : 0);
+    return direction * (byValue || a.id.localeCompare(b.id));
+  };
+  const sorted = matching
+    .map(expense => ({ expense, id: expense.id, value: expenseSortValue(expense, sort, currency) }))
+    .sort(compare);
+  const start = position ? sorted.findIndex(entry => compare(entry, position) > 0) : 0;
+  const page = start < 0 ? [] : sorted.slice(start, start + limit);
+  const last = page[page.length - 1];
+  const hasMore = start >= 0 && start + limit < sorted.length;
+  
+  res.json({
+    success: true,
+    count: page.length,
+    total: matching.length,
+    expenses: page.map(entry => expenseForViewer(entry.expense, userId)),
+    nextCursor: hasMore ? encodeCursor({ sort, order, value: last.value, id: last.id }) : null
+  });
+});
+
+const OWED_STATUSES = ['unpaid', 'partial', 'paid', 'outstanding'];
+
+// Expenses where the caller owes someone who paid, with what they owe on each
+// and to whom. ?status= is unpaid, partial, paid or outstanding (unpaid + partial).
+app.get('/api/expenses/owed', authenticateToken, validate({
+  summary: 'Expenses where the caller owes someone who paid',
+  query: object({ status: string({ enum: OWED_STATUSES }) })
+}), (req, res) => {
+  const userId = req.user.userId;
+  const user = users.find(u => u.id === userId);
+  const { status } = req.query;
+  
+  const currency = (user && user.homeCurrency) || DEFAULT_CURRENCY;
+  const owed = [];
+  
+  expenses.forEach(expense => {
+    linkHolders(expense)
+      .filter(holder => holderUserId(expense, holder) === userId)
+      .forEach(holder => {
+        const link = paymentLinks.find(l => l.id === holder.paymentLink);
+        const settlement = linkSettlement(link);
+        owed.push({
+          expenseId: expense.id,
+          description: expense.description,
+          groupId: expense.groupId,
+          paidBy: { id: expense.paidBy.id, name: expense.paidBy.name },
+          payTo: linkPayees(link).map(({ name, amount, remaining }) => ({ name, amount, remaining })),
+          currency: expense.currency,
+          amount: link.amount,
+          ...settlement,
+          paymentLink: !link.voided && !isLinkExpired(link) ? link.id : null,
+          expiresAt: link.expiresAt,
+          createdAt: expense.createdAt,
+          remainingInHomeCurrency: convertExpenseAmount(expense, settlement.remaining, currency)
+        });
+      });
+  });
+  
+  const matching = owed
+    .filter(o => !status || (status === 'outstanding' ? o.status !== 'paid' : o.status === status))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  
+  res.json({
+    success: true,
+    currency,
+    totalOwed: matching.reduce((sum, o) => sum + o.remainingInHomeCurrency, 0),
+    count: matching.length,
+    expenses: matching
+  });
+});
+
+// Get a single expense by ID (PROTECTED)
+app.get('/api/expenses/:id', authenticateToken, validate({
+  summary: 'Get one expense',
+  params: idParams
+}), (req, res) => {
+  const userId = req.user.userId;
+  const expense = expenses.find(e => e.id === req.params.id && canViewExpense(e, userId));
+  
+  if (!expense) {
+    throw new ApiError(404, 'Expense not found');
+  }
+  
+  res.json({
+    success: true,
+    expense: expenseForViewer(expense, userId)
+  });
+});
+
+// Edit an expense (payer only). Shares and debts are recomputed; participants
+// are matched to existing ones by `paymentLink` id, else by email/name.
+// Changes that would drop a participant who has already paid, or cut what
+// someone owes below what they have paid, are refused with 409.
+app.patch('/api/expenses/:id', authenticateToken, validate({
+  summary: 'Edit an expense (payer only)',
+  params: idParams,
+  body: expenseChangesSchema
+}), (req, res) => {
+  const userId = req.user.userId;
+  const user = users.find(u => u.id === userId);
+  const expense = expenses.find(e => e.id === req.params.id && e.paidBy.id === userId);
+  
+  if (!user || !expense) {
+    throw new ApiError(404, 'Expense not found');
+  }
+  
+  const description = req.body.description !== undefined ? req.body.description : expense.description;
+  const amount = req.body.amount !== undefined ? req.body.amount : expense.amount;
+  const splitType = req.body.splitType !== undefined ? req.body.splitType : expense.splitType;
+  const currency = req.body.currency !== undefined ? String(req.body.currency).toUpperCase() : expense.currency;
+  const payerShare = req.body.payerShare !== undefined
+    ? req.body.payerShare
+    : (splitType === 'amount' ? expense.payerAmount : expense.payerShare);
+  const participants = req.body.participants !== undefined
+    ? req.body.participants
+    : expense.participants.map(p => ({ ...p, amount: splitType === 'amount' ? p.amount : undefined }));
+  const previous = expense.itemization || {};
+  const itemization = {
+    items: req.body.items !== undefined ? req.body.items : previous.items,
+    tax: req.body.tax !== undefined ? req.body.tax : previous.tax,
+    tip: req.body.tip !== undefined ? req.body.tip : previous.tip
+  };
+  
+  // Items point at participants by position, so a new list needs new items
+  if (splitType === 'itemized' && req.body.participants !== undefined && req.body.items === undefined) {
+    throw new ApiError(400, 'Send items along with participants for an itemized split');
+  }
+  
+  // Payers point at participants by position too, and several payers can't
+  // be scaled to a new total
+  let payers = req.body.payers;
+  if (payers === undefined) {
+    if (req.body.participants !== undefined && expense.payers.some(p => p.participant !== 'me')) {
+      throw new ApiError(400, 'Send payers along with participants when a participant paid', { code: 'INVALID_PAYERS' });
+    }
+    if (expense.payers.length > 1 && amount !== expense.amount) {
+      throw new ApiError(400, 'Send payers along with a new amount when several people paid', { code: 'INVALID_PAYERS' });
+    }
+    payers = expense.payers.length > 1 ? expense.payers : [{ participant: expense.payers[0].participant, amount }];
+  }
+  
+  if (!description || !Array.isArray(participants) || participants.length === 0) {
+    throw new ApiError(400, 'Description and at least one participant are required');
+  }
+  
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw new ApiError(400, 'Amount must be a positive whole number of cents');
+  }
+  
+  if (!SPLIT_TYPES.includes(splitType)) {
+    throw new ApiError(400, `Invalid split type. Use one of: ${SPLIT_TYPES.join(', ')}`);
+  }
+  
+  if (!isSupportedCurrency(currency)) {
+    throw new ApiError(400, `Unsupported currency: ${req.body.currency}`);
+  }
+  
+  // A category the payer has since deleted can stay on the expense
+  const detailsInput = { ...req.body };
+  if (detailsInput.category !== undefined && detailsInput.category === expense.category) {
+    delete detailsInput.category;
+  }
+  const details = validateExpenseDetails(user, detailsInput);
+  if (details.error) {
+    throw new ApiError(400, details.error);
+  }
+  
+  const split = calculateSplit(amount, participants, splitType, payerShare, itemization);
+  if (split.error) {
+    throw new ApiError(400, split.error, { code: 'INVALID_SPLIT' });
+  }
+  
+  const paid = validatePayers(payers, participants.length, amount);
+  if (paid.error) {
+    throw new ApiError(400, paid.error, { code: 'INVALID_PAYERS' });
+  }
+  const debts = expenseDebts(split.participantAmounts, split.payerAmount, paid.value);
+  const owedBy = ref => debts.get(ref).reduce((sum, debt) => sum + debt.amount, 0);
+  
+  // Pair each incoming participant with the existing entry it replaces
+  const unmatched = [...expense.participants];
+  const pairs = participants.map((participant, index) => {
+    const matchIndex = participant.paymentLink
+      ? unmatched.findIndex(p => p.paymentLink === participant.paymentLink)
+      : unmatched.findIndex(p => personKey(p).key === personKey(participant).key);
+    const existing = matchIndex >= 0 ? unmatched.splice(matchIndex, 1)[0] : null;
+    return { participant, existing, amount: split.participantAmounts[index], owes: debts.get(index), owed: owedBy(index), itemized: split.breakdown && split.breakdown[index] };
+  });
+  
+  const settledOn = p => {
+    const link = paymentLinks.find(l => l.id === p.paymentLink);
+    if (!link) {
+      return 0;
+    }
+    const { amountPaid, amountForgiven } = linkSettlement(link);
+    return amountPaid + amountForgiven;
+  };
+  
+  const conflicts = [
+    ...unmatched
+      .filter(p => settledOn(p) > 0)
+      .map(p => ({ name: p.name, paymentLink: p.paymentLink, settled: settledOn(p), newAmount: 0 })),
+    ...pairs
+      .filter(({ existing, owed }) => existing && settledOn(existing) > owed)
+      .map(({ existing, owed }) => ({ name: existing.name, paymentLink: existing.paymentLink, settled: settledOn(existing), newAmount: owed })),
+    ...[expense.paidBy]
+      .filter(p => settledOn(p) > owedBy('me'))
+      .map(p => ({ name: p.name, paymentLink: p.paymentLink, settled: settledOn(p), newAmount: owedBy('me') }))
+  ];
+  
+  if (conflicts.length > 0) {
+    throw new ApiError(409, 'This change conflicts with payments already made', { conflicts });
+  }
+  
+  const before = expenseSnapshot(expense);
+  const audienceBefore = expenseAudience(expense);
+  
+  if (currency !== expense.currency) {
+    expense.currency = currency;
+    expense.exchangeRates = snapshotExchangeRates();
+  }
+  expense.description = description;
+  expense.amount = amount;
+  Object.assign(expense, details.value);
+  expense.splitType = splitType;
+  expense.payerAmount = split.payerAmount;
+  expense.payerShare = ['equal', 'itemized'].includes(splitType) ? null : Number(payerShare || 0);
+  expense.payers = paid.value;
+  expense.itemization = storedItemization(split);
+  expense.totalPeople = participants.length + 1;
+  
+  // Removed participants lose their links
+  unmatched.forEach(p => {
+    const link = paymentLinks.find(l => l.id === p.paymentLink);
+    if (link) {
+      voidPaymentLink(link, 'expense-edited');
+    }
+  });
+  
+  expense.participants = pairs.map(({ participant, existing, amount: share, itemized }) => {
+    const person = existing ? { ...existing, ...participant } : participant;
+    return buildParticipant(person, share, existing ? existing.paymentLink : null, splitType, itemized);
+  });
+  
+  // Everyone else's link follows what they now owe: updated in place, created,
+  // or cancelled once they owe nothing
+  [...expense.participants.map((p, index) => [p, debts.get(index)]), [expense.paidBy, debts.get('me')]]
+    .forEach(([person, owes]) => {
+      const link = person.paymentLink && paymentLinks.find(l => l.id === person.paymentLink);
+      if (owes.length === 0) {
+        if (link) {
+          voidPaymentLink(link, 'expense-edited');
+        }
+        person.paymentLink = null;
+        return;
+      }
+      if (!link) {
+        person.paymentLink = createPaymentLink(expense, person, owes).id;
+        return;
+      }
+      setLinkPayees(link, expense, owes);
+      link.currency = currency;
+      link.description = description;
+      link.participantName = person.name;
+      link.participantEmail = person.email || null;
+      link.participantPhone = person.phone ? normalizeContact(person.phone) : null;
+    });
+  
+  // Re-derive payment status now that link amounts may have changed
+  expense.participants.forEach(p => {
+    const link = paymentLinks.find(l => l.id === p.paymentLink);
+    if (link) {
+      applyLinkPayments(link);
+    } else {
+      Object.assign(p, { paid: true, status: 'paid' });
+    }
+  });
+  
+  expense.updatedAt = new Date();
+  
+  const changes = diffSnapshots(before, expenseSnapshot(expense));
+  if (Object.keys(changes).length > 0) {
+    recordRevision(expense, 'updated', user, changes);
+  }
+  saveData();
+  // Participants who were removed hear about it too
+  publishExpenseEvent('expense.updated', expense, [...audienceBefore, ...expenseAudience(expense)]);
+  
+  res.json({
+    success: true,
+    expense: expense,
+    message: 'Expense updated successfully!'
+  });
+});
+
+// Delete an expense (payer only). Refused once anyone has paid towards it.
+app.delete('/api/expenses/:id', authenticateToken, validate({
+  summary: 'Delete an expense with no payments (payer only)',
+  params: idParams
+}), (req, res) => {
+  const userId = req.user.userId;
+  const user = users.find(u => u.id === userId);
+  const expense = expenses.find(e => e.id === req.params.id && e.paidBy.id === userId);
+  
+  if (!user || !expense) {
+    throw new ApiError(404, 'Expense not found');
+  }
+  
+  const links = paymentLinks.filter(l => linkHolders(expense).some(p => p.paymentLink === l.id));
+  const paid = links.filter(l => (l.payments || []).length > 0);
+  if (paid.length > 0) {
+    throw new ApiError(409, 'Cannot delete an expense that has payments recorded', { code: 'HAS_PAYMENTS', conflicts: paid.map(l => ({ name: l.participantName, paymentLink: l.id, settled: l.amount - linkSettlement(l).remaining })) });
+  }
+  
+  links.forEach(link => voidPaymentLink(link, 'expense-deleted'));
+  (expense.receipts || []).forEach(removeReceiptFile);
+  expenses = expenses.filter(e => e.id !== expense.id);
+  // Comment activity carries the text, so it goes with the comments
+  comments = comments.filter(c => c.expenseId !== expense.id);
+  activities = activities.filter(a => !(a.type === 'comment.added' && a.expenseId === expense.id));
+  recordRevision(expense, 'deleted', user, diffSnapshots(expenseSnapshot(expense), {}));
+  saveData();
+  publishEvent('expense.deleted', expenseAudience(expense), { expenseId: expense.id });
+  
+  res.json({
+    success: true,
+    message: 'Expense deleted successfully!'
+  });
+});
+
+// Whether `userId` may read the history of a deleted expense, going by what
+// its 'deleted' revision recorded: its payer deleted it, and its participants
+// and group members could see it
+function canViewDeletedExpense(revision, userId) {
+  if (revision.changedBy.id === userId) {
+    return true;
+  }
+  const { participants, groupId } = revision.changes;
+  const group = groupId && groupId.from && groups.find(g => g.id === groupId.from);
+  if (group && isGroupMember(group, userId)) {
+    return true;
+  }
+  return Boolean(participants && participants.from) && participants.from.some(p => p.userId === userId);
+}
+
+// Revision history for an expense, oldest first. It stays readable after the
+// expense is deleted, ending with the 'deleted' revision.
+app.get('/api/expenses/:id/revisions', authenticateToken, validate({
+  summary: 'Revision history of an expense, including a deleted one',
+  params: idParams
+}), (req, res) => {
+  const expense = expenses.find(e => e.id === req.params.id);
+  const deletion = !expense && expenseRevisions.find(r => r.expenseId === req.params.id && r.action === 'deleted');
+  const allowed = expense
+    ? canViewExpense(expense, req.user.userId)
+    : Boolean(deletion) && canViewDeletedExpense(deletion, req.user.userId);
+  
+  if (!allowed) {
+    throw new ApiError(404, 'Expense not found');
+  }
+  
+  const revisions = expenseRevisions.filter(r => r.expenseId === req.params.id);
+  
+  res.json({
+    success: true,
+    count: revisions.length,
+    revisions
+  });
+});
+
+// ============= RECEIPT ROUTES =============
+
+// Accepted receipt formats and the bytes their files start with. Uploads are
+// checked against these rather than trusting the Content-Type alone.
+const RECEIPT_TYPES = {
+  'image/jpeg': { extension: 'jpg', matches: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  'image/png': { extension: 'png', matches: b => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  'image/webp': { extension: 'webp', matches: b => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP' },
+  'image/heic': { extension: 'heic', matches: b => b.toString('latin1', 4, 8) === 'ftyp' && /^hei[cx]|^mif1/.test(b.toString('latin1', 8, 12)) },
+  'application/pdf': { extension: 'pdf', matches: b => b.toString('latin1', 0, 5) === '%PDF-' }
+};
+
+function receiptPath(receipt) {
+  return path.join(RECEIPTS_DIR, receipt.id);
+}
+
+function removeReceiptFile(receipt) {
+  fs.rmSync(receiptPath(receipt), { force: true });
+}
+
+// A display name safe to put in a header
+function receiptFilename(name, contentType) {
+  const base = path.basename(String(name || '')).replace(/[^\w.\- ]/g, '').trim().slice(0, 100);
+  return base || `receipt.${RECEIPT_TYPES[contentType].extension}`;
+}
+
+// Upload a receipt to an expense (payer only). Send the file itself as the
+// body with its Content-Type; ?filename= names it.
+app.post('/api/expenses/:id/receipts', authenticateToken, validate({
+  summary: 'Upload a receipt (payer only)',
+  status: 201,
+  params: idParams,
+  query: object({ filename: string({ maxLength: 255 }) }),
+  bodyType: Object.keys(RECEIPT_TYPES)
+}), express.raw({ type: Object.keys(RECEIPT_TYPES), limit: RECEIPT_MAX_BYTES }), (req, res) => {
+  const expense = expenses.find(e => e.id === req.params.id && e.paidBy.id === req.user.userId);
+  
+  if (!expense) {
+    throw new ApiError(404, 'Expense not found');
+  }
+  
+  const contentType = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  const type = RECEIPT_TYPES[contentType];
+  if (!type || !Buffer.isBuffer(req.body) || req.body.length === 0) {
+    throw new ApiError(415, `Upload the receipt file as the request body with one of these types: ${Object.keys(RECEIPT_TYPES).join(', ')}`);
+  }
+  if (!type.matches(req.body)) {
+    throw new ApiError(415, `The file is not a valid ${contentType} file`, { code: 'RECEIPT_CONTENT_MISMATCH' });
+  }
+  
+  expense.receipts = expense.receipts || [];
+  if (expense.receipts.length >= MAX_RECEIPTS_PER_EXPENSE) {
+    throw new ApiError(400, `An expense can have at most ${MAX_RECEIPTS_PER_EXPENSE} receipts`, { code: 'RECEIPT_LIMIT_REACHED' });
+  }
+  
+  const receipt = {
+    id: crypto.randomBytes(12).toString('hex'),
+    filename: receiptFilename(req.query.filename, contentType),
+    contentType,
+    size: req.body.length,
+    uploadedBy: req.user.userId,
+    uploadedAt: new Date()
+  };
+  
+  try {
+    fs.mkdirSync(RECEIPTS_DIR, { recursive: true });
+    writeFileAtomic(receiptPath(receipt), req.body);
+  } catch (error) {
+    console.error('Error saving receipt:', error);
+    throw new ApiError(500, 'Failed to save receipt', { code: 'STORAGE_FAILED' });
+  }
+  
+  expense.receipts.push(receipt);
+  saveData();
+  
+  res.status(201).json({ success: true, receipt });
+});
+
+const receiptParams = object({ id: schema.id, receiptId: schema.id }, { required: ['id', 'receiptId'] });
+
+// Download a receipt - anyone who can see the expense
+app.get('/api/expenses/:id/receipts/:receiptId', authenticateToken, validate({
+  summary: 'Download a receipt',
+  params: receiptParams
+}), (req, res) => {
+  const expense = expenses.find(e => e.id === req.params.id && canViewExpense(e, req.user.userId));
+  const receipt = expense && (expense.receipts || []).find(r => r.id === req.params.receiptId);
+  
+  if (!receipt || !fs.existsSync(receiptPath(receipt))) {
+    throw new ApiError(404, 'Receipt not found');
+  }
+  
+  // Always a download, never rendered in the API's origin
+  res.attachment(receipt.filename);
+  res.set('X-Content-Type-Options', 'nosniff');
+  res.sendFile(receiptPath(receipt), { headers: { 'Content-Type': receipt.contentType } });
+});
+
+// Remove a receipt (payer only)
+app.delete('/api/expenses/:id/receipts/:receiptId', authenticateToken, validate({
+  summary: 'Remove a receipt (payer only)',
+  params: receiptParams
+}), (req, res) => {
+  const expense = expenses.find(e => e.id === req.params.id && e.paidBy.id === req.user.userId);
+  const receipt = expense && (expense.receipts || []).find(r => r.id === req.params.receiptId);
+  
+  if (!receipt) {
+    throw new ApiError(404, 'Receipt not found');
+  }
+  
+  expense.receipts = expense.receipts.filter(r => r.id !== receipt.id);
+  removeReceiptFile(receipt);
+  saveData();
+  
+  res.json({ success: true, message: 'Receipt removed' });
+});
+
+// ============= COMMENT ROUTES =============
+// Anyone who can see an expense can read and add comments on it. Authors can
+// delete their own.
+
+const MAX_COMMENT_LENGTH = 2000;
+
+const commentParams = object({ id: schema.id, commentId: schema.id }, { required: ['id', 'commentId'] });
+
+// Comment on an expense
+app.post('/api/expenses/:id/comments', authenticateToken, validate({
+  summary: 'Comment on an expense',
+  status: 201,
+  params: idParams,
+  body: object({ text: string({ minLength: 1, maxLength: MAX_COMMENT_LENGTH }) }, { required: ['text'] })
+}), (req, res) => {
+  const user = users.find(u => u.id === req.user.userId);
+  const expense = user && expenses.find(e => e.id === req.params.id && canViewExpense(e, user.id));
+  
+  if (!expense) {
+    throw new ApiError(404, 'Expense not found');
+  }
+  
+  const comment = {
+    id: uniqueId(comments),
+    expenseId: expense.id,
+    author: { id: user.id, name: user.name },
+    text: req.body.text.trim(),
+    createdAt: new Date().toISOString()
+  };
+  comments.push(comment);
+  recordActivity('comment.added', expense, user, { commentId: comment.id, text: comment.text });
+  saveData();
+  publishEvent('comment.added', expenseAudience(expense), comment);
+  
+  res.status(201).json({ success: true, comment });
+});
+
+// Comments on an expense, oldest first
+app.get('/api/expenses/:id/comments', authenticateToken, validate({
+  summary: 'Comments on an expense',
+  params: idParams
+}), (req, res) => {
+  const expense = expenses.find(e => e.id === req.params.id && canViewExpense(e, req.user.userId));
+  
+  if (!expense) {
+    throw new ApiError(404, 'Expense not found');
+  }
+  
+  const list = comments.filter(c => c.expenseId === expense.id);
+  
+  res.json({
+    success: true,
+    count: list.length,
+    comments: list
+  });
+});
+
+// Delete a comment (author only)
+app.delete('/api/expenses/:id/comments/:commentId', authenticateToken, validate({
+  summary: 'Delete a comment (author only)',
+  params: commentParams
+}), (req, res) => {
+  const comment = comments.find(c =>
+    c.id === req.params.commentId && c.expenseId === req.params.id && c.author.id === req.user.userId
+  );
+  
+  if (!comment) {
+    throw new ApiError(404, 'Comment not found');
+  }
+  
+  comments = comments.filter(c => c.id !== comment.id);
+  activities = activities.filter(a => !(a.type === 'comment.added' && a.data.commentId === comment.id));
+  saveData();
+  
+  res.json({ success: true, message: 'Comment deleted' });
+});
+
+// ============= CATEGORY ROUTES =============
+
+// Built-in and the caller's own categories
+app.get('/api/categories', authenticateToken, validate({
+  summary: 'Built-in and custom categories'
+}), (req, res) => {
+  const user = users.find(u => u.id === req.user.userId);
+  if (!user) {
+    throw new ApiError(404, 'User not found');
+  }
+  
+  res.json({
+    success: true,
+    builtIn: BUILT_IN_CATEGORIES,
+    custom: user.categories || []
+  });
+});
+
+// Add a category of the caller's own
+app.post('/api/categories', authenticateToken, validate({
+  summary: 'Add a custom category',
+  status: 201,
+  body: object({ name: string({ minLength: 1, maxLength: MAX_CATEGORY_LENGTH }) }, { required: ['name'] })
+}), (req, res) => {
+  const user = users.find(u => u.id === req.user.userId);
+  if (!user) {
+    throw new ApiError(404, 'User not found');
+  }
+  
+  const category = normalizeCategory(req.body.name);
+  if (userCategories(user).includes(category)) {
+    throw new ApiError(409, 'Category already exists', { code: 'CATEGORY_EXISTS' });
+  }
+  
+  user.categories = [...(user.categories || []), category];
+  saveData();
+  
+  res.status(201).json({ success: true, category, custom: user.categories });
+});
+
+// Remove one of the caller's categories. Expenses already filed under it keep it.
+app.delete('/api/categories/:name', authenticateToken, validate({
+  summary: 'Remove a custom category',
+  params: object({ name: string({ minLength: 1, maxLength: MAX_CATEGORY_LENGTH }) }, { required: ['name'] })
+}), (req, res) => {
+  const user = users.find(u => u.id === req.user.userId);
+  const category = normalizeCategory(req.params.name);
+  
+  if (!user || !(user.categories || []).includes(category)) {
+    throw new ApiError(404, 'Category not found');
+  }
+  
+  user.categories = user.categories.filter(c => c !== category);
+  saveData();
+  
+  res.json({ success: true, message: 'Category removed', custom: user.categories });
+});
+
+// ============= RECURRING EXPENSE ROUTES =============
+
+// Templates generate a normal expense (with fresh payment links) on each
+// scheduled date. Dates are UTC calendar days ('YYYY-MM-DD'). `nextDate` is
+// the next date still to generate and advances in the same save as the
+// expense it creates, so restarts neither repeat nor skip a period.
+
+// How far back a new template may start. The periods in between are
+// generated when it is created.
+const RECURRING_MAX_BACKDATE_DAYS = 90;
+// Periods one template generates per run; any more wait for the next run, so
+// catching up never holds the server up for long
+const RECURRING_MAX_PERIODS_PER_RUN = 20;
+
+// The day an expense counts towards in reports and date filters
+function expenseDay(expense) {
+  return expense.expenseDate || formatDateOnly(new Date(expense.createdAt));
+}
+
+// Optional ?from= and ?to= (YYYY-MM-DD, inclusive). Returns { from, to } with
+// missing ends as null, or { error }.
+function parseDateRange({ from, to }) {
+  if ((from && !parseDateOnly(from)) || (to && !parseDateOnly(to))) {
+    return { error: 'from and to must be dates in YYYY-MM-DD format' };
+  }
+  if (from && to && from > to) {
+    return { error: 'from must not be after to' };
+  }
+  return { from: from || null, to: to || null };
+}
+
+function inDateRange(expense, { from, to }) {
+  const day = expenseDay(expense);
+  return (!from || day >= from) && (!to || day <= to);
+}
+
+// The expense fields a template keeps, taken from a request body
+function recurringExpenseInput(body) {
+  const { description, amount, currency, participants, splitType, payerShare, payers, groupId, category, tags, notes, items, tax, tip } = body;
+  return { description, amount, currency, participants, splitType, payerShare, payers, groupId, category, tags, notes, items, tax, tip };
+}
+
+const scheduleSchema = object({
+  frequency: string({ enum: RECURRING_FREQUENCIES }),
+  interval: integer({ minimum: 1 }),
+  dayOfMonth: integer({ minimum: 1, maximum: 31 })
+}, { required: ['frequency'] });
+
+// Each generated expense is dated its period, so templates take no expenseDate
+const { expenseDate, ...recurringExpenseFields } = expenseFields;
+const recurringFields = {
+  ...recurringExpenseFields,
+  schedule: scheduleSchema,
+  endDate: nullable(schema.dateOnly)
+};
+
+// Generate every due expense for active templates. Safe to call at any time.
+function runRecurringExpenses(now = new Date()) {
+  const today = formatDateOnly(now);
+  let changed = false;
+
+  recurringExpenses
+    .filter(t => t.status === 'active')
+    .forEach(template => {
+      for (const period of duePeriods(template, today, RECURRING_MAX_PERIODS_PER_RUN)) {
+        const alreadyCreated = expenses.some(e => e.recurringId === template.id && e.recurringPeriod === period);
+
+        if (!alreadyCreated) {
+          const user = users.find(u => u.id === template.createdBy);
+          const result = user
+            ? validateExpenseInput(user, template.expense)
+            : { error: 'The template owner no longer exists' };
+
+          if (result.error) {
+            // Stop rather than silently skip; the owner can fix and resume it
+            template.status = 'paused';
+            template.lastError = `${period}: ${result.error}`;
+            changed = true;
+            console.log(`🔁 Paused recurring expense ${template.id}: ${result.error}`);
+            break;
+          }
+
+          const expense = createExpense(user, result.value, { recurringId: template.id, recurringPeriod: period, expenseDate: period });
+          publishExpenseEvent('expense.created', expense);
+        }
+
+        template.lastPeriod = period;
+        template.nextDate = firstOccurrenceOnOrAfter(template, addDays(period, 1));
+        changed = true;
+      }
+
+      if (template.status === 'active' && template.endDate && template.nextDate > template.endDate) {
+        template.status = 'completed';
+        changed = true;
+      }
+    });
+
+  if (changed) {
+    saveData();
+  }
+}
+
+// Load a template owned by the caller
+function findOwnRecurringExpense(req) {
+  return recurringExpenses.find(t => t.id === req.params.id && t.createdBy === req.user.userId);
+}
+
+// Create a recurring expense template
+app.post('/api/recurring-expenses', authenticateToken, validate({
+  summary: 'Create a recurring expense',
+  status: 201,
+  body: object({ ...recurringFields, startDate: schema.dateOnly }, { required: ['description', 'amount', 'participants', 'schedule'] })
+}), (req, res) => {
+  const user = users.find(u => u.id === req.user.userId);
+  if (!user) {
+    throw new ApiError(404, 'User not found');
+  }
+
+  const { startDate = formatDateOnly(new Date()), endDate = null, schedule } = req.body;
+
+  if (!parseDateOnly(startDate) || (endDate !== null && !parseDateOnly(endDate))) {
+    throw new ApiError(400, 'Dates must be in YYYY-MM-DD format');
+  }
+  if (endDate !== null && endDate < startDate) {
+    throw new ApiError(400, 'endDate must not be before startDate');
+  }
+  if (startDate < addDays(formatDateOnly(new Date()), -RECURRING_MAX_BACKDATE_DAYS)) {
+    throw new ApiError(400, `startDate must be at most ${RECURRING_MAX_BACKDATE_DAYS} days ago`);
+  }
+
+  const parsed = parseSchedule(schedule, startDate);
+  if (parsed.error) {
+    throw new ApiError(400, parsed.error);
+  }
+
+  const input = recurringExpenseInput(req.body);
+  const result = validateExpenseInput(user, input);
+  if (result.error) {
+    throw new ApiError(result.status, result.error, { code: result.code });
+  }
+
+  const template = {
+    id: uniqueId(recurringExpenses),
+    createdBy: user.id,
+    expense: { ...input, currency: result.value.currency },
+    schedule: parsed.schedule,
+    startDate,
+    endDate,
+    status: 'active',
+    nextDate: null,
+    lastPeriod: null,
+    lastError: null,
+    createdAt: new Date()
+  };
+  template.nextDate = firstOccurrenceOnOrAfter(template, startDate);
+
+  recurringExpenses.push(template);
+  saveData();
+  runRecurringExpenses();
+
+  res.status(201).json({ success: true, recurringExpense: template });
+});
+
+// List the caller's templates
+app.get('/api/recurring-expenses', authenticateToken, validate({
+  summary: "List the caller's recurring expenses"
+}), (req, res) => {
+  const templates = recurringExpenses.filter(t => t.createdBy === req.user.userId);
+
+  res.json({
+    success: true,
+    count: templates.length,
+    recurringExpenses: templates
+  });
+});
+
+// Get one template with the expenses it has generated
+app.get('/api/recurring-expenses/:id', authenticateToken, validate({
+  summary: 'Get a recurring expense and the expenses it generated',
+  params: idParams
+}), (req, res) => {
+  const template = findOwnRecurringExpense(req);
+  if (!template) {
+    throw new ApiError(404, 'Recurring expense not found');
+  }
+
+  res.json({
+    success: true,
+    recurringExpense: template,
+    expenses: expenses.filter(e => e.recurringId === template.id)
+  });
+});
+
+// Edit a template - applies to periods not generated yet
+app.patch('/api/recurring-expenses/:id', authenticateToken, validate({
+  summary: 'Edit a recurring expense',
+  params: idParams,
+  body: object(recurringFields)
+}), (req, res) => {
+  const template = findOwnRecurringExpense(req);
+  const user = users.find(u => u.id === req.user.userId);
+  if (!template || !user) {
+    throw new ApiError(404, 'Recurring expense not found');
+  }
+  if (template.status === 'cancelled') {
+    throw new ApiError(400, 'Recurring expense has been cancelled', { code: 'RECURRING_NOT_ACTIVE' });
+  }
+
+  const endDate = req.body.endDate !== undefined ? req.body.endDate : template.endDate;
+  if (endDate !== null && (!parseDateOnly(endDate) || endDate < template.startDate)) {
+    throw new ApiError(400, 'endDate must be a YYYY-MM-DD date on or after startDate');
+  }
+
+  let schedule = template.schedule;
+  if (req.body.schedule !== undefined) {
+    const parsed = parseSchedule(req.body.schedule, template.startDate);
+    if (parsed.error) {
+      throw new ApiError(400, parsed.error);
+    }
+    schedule = parsed.schedule;
+  }
+
+  const input = { ...template.expense };
+  Object.entries(recurringExpenseInput(req.body)).forEach(([key, value]) => {
+    if (value !== undefined) {
+      input[key] = value;
+    }
+  });
+  const result = validateExpenseInput(user, input);
+  if (result.error) {
+    throw new ApiError(result.status, result.error, { code: result.code });
+  }
+
+  template.expense = { ...input, currency: result.value.currency };
+  template.endDate = endDate;
+  if (schedule !== template.schedule) {
+    template.schedule = schedule;
+    const today = formatDateOnly(new Date());
+    const after = template.lastPeriod ? addDays(template.lastPeriod, 1) : template.startDate;
+    template.nextDate = firstOccurrenceOnOrAfter(template, after > today ? after : today);
+  }
+  if (template.status === 'completed' && (!endDate || template.nextDate <= endDate)) {
+    template.status = 'active';
+  }
+  template.lastError = null;
+  template.updatedAt = new Date();
+
+  saveData();
+  runRecurringExpenses();
+
+  res.json({ success: true, recurringExpense: template });
+});
+
+// Pause a template - periods that pass while paused are not generated
+app.post('/api/recurring-expenses/:id/pause', authenticateToken, validate({
+  summary: 'Pause a recurring expense',
+  params: idParams
+}), (req, res) => {
+  const template = findOwnRecurringExpense(req);
+  if (!template) {
+    throw new ApiError(404, 'Recurring expense not found');
+  }
+  if (template.status !== 'active') {
+    throw new ApiError(400, `Recurring expense is ${template.status}`, { code: 'RECURRING_NOT_ACTIVE' });
+  }
+
+  template.status = 'paused';
+  template.pausedAt = new Date();
+  saveData();
+
+  res.json({ success: true, recurringExpense: template });
+});
+
+// Resume a paused template. One paused by hand carries on from today's
+// schedule; one the server paused on a failed period (no pausedAt) retries
+// that period first.
+app.post('/api/recurring-expenses/:id/resume', authenticateToken, validate({
+  summary: 'Resume a paused recurring expense',
+  params: idParams
+}), (req, res) => {
+  const template = findOwnRecurringExpense(req);
+  if (!template) {
+    throw new ApiError(404, 'Recurring expense not found');
+  }
+  if (template.status !== 'paused') {
+    throw new ApiError(400, `Recurring expense is ${template.status}`, { code: 'RECURRING_NOT_ACTIVE' });
+  }
+
+  const today = formatDateOnly(new Date());
+  if (template.pausedAt && template.nextDate < today) {
+    template.nextDate = firstOccurrenceOnOrAfter(template, today);
+  }
+  template.status = 'active';
+  template.pausedAt = null;
+  template.lastError = null;
+  saveData();
+  runRecurringExpenses();
+
+  res.json({ success: true, recurringExpense: template });
+});
+
+// Cancel a template for good. Expenses it already generated are kept.
+app.delete('/api/recurring-expenses/:id', authenticateToken, validate({
+  summary: 'Cancel a recurring expense',
+  params: idParams
+}), (req, res) => {
+  const template = findOwnRecurringExpense(req);
+  if (!template) {
+    throw new ApiError(404, 'Recurring expense not found');
+  }
+
+  template.status = 'cancelled';
+  template.cancelledAt = new Date();
+  saveData();
+
+  res.json({ success: true, recurringExpense: template });
+});
+
+// ============= GROUP ROUTES =============
+
+// Member summary returned in group responses
+function toGroupMember(user, role) {
+  return {
+    userId: user.id,
+    name: user.name,
+    phone: user.phone || null,
+    email: user.email || null,
+    role,
+    addedAt: new Date()
+  };
+}
+
+const groupNameSchema = string({ minLength: 1, maxLength: 100 });
+
+// Create a group - the caller becomes its owner
+app.post('/api/groups', authenticateToken, validate({
+  summary: 'Create a group',
+  status: 201,
+  body: object({
+    name: groupNameSchema,
+    members: array(contactSchema, { maxItems: 100, description: 'Phone numbers or emails of existing accounts' })
+  }, { required: ['name'] })
+}), (req, res) => {
+  const { name, members = [] } = req.body;
+  const user = users.find(u => u.id === req.user.userId);
+
+  if (!user) {
+    throw new ApiError(404, 'User not found');
+  }
+
+  const group = {
+    id: Date.now().toString(),
+    name: name.trim(),
+    createdBy: user.id,
+    members: [toGroupMember(user, 'owner')],
+    archived: false,
+    createdAt: new Date()
+  };
+
+  for (const contact of members) {
+    const normalizedContact = normalizeContact(contact);
+    const member = normalizedContact && users.find(u =>
+      u.phone === normalizedContact || u.email === normalizedContact
+    );
+    if (!member) {
+      throw new ApiError(404, `No account found for ${contact}`, { code: 'ACCOUNT_NOT_FOUND' });
+    }
+    if (!isGroupMember(group, member.id)) {
+      group.members.push(toGroupMember(member, 'member'));
+    }
+  }
+
+  groups.push(group);
+  saveData();
+
+  res.status(201).json({ success: true, group });
+});
+
+// List groups the caller belongs to (?includeArchived=true to include archived ones)
+app.get('/api/groups', authenticateToken, validate({
+  summary: 'List groups the caller belongs to',
+  query: object({ includeArchived: boolean() })
+}), (req, res) => {
+  const includeArchived = req.query.includeArchived === 'true';
+  const userGroups = groups.filter(g =>
+    isGroupMember(g, req.user.userId) && (includeArchived || !g.archived)
+  );
+
+  res.json({
+    success: true,
+    count: userGroups.length,
+    groups: userGroups
+  });
+});
+
+// Get a single group
+app.get('/api/groups/:id', authenticateToken, validate({
+  summary: 'Get a group',
+  params: idParams
+}), requireGroupMember, (req, res) => {
+  res.json({ success: true, group: req.group });
+});
+
+// Rename a group
+app.patch('/api/groups/:id', authenticateToken, validate({
+  summary: 'Rename a group',
+  params: idParams,
+  body: object({ name: groupNameSchema }, { required: ['name'] })
+}), requireGroupMember, (req, res) => {
+  const { name } = req.body;
+
+  if (req.group.archived) {
+    throw new ApiError(400, 'Group is archived', { code: 'GROUP_ARCHIVED' });
+  }
+
+  req.group.name = name.trim();
+  req.group.updatedAt = new Date();
+  saveData();
+
+  res.json({ success: true, group: req.group });
+});
+
+// Add a member by phone or email
+app.post('/api/groups/:id/members', authenticateToken, validate({
+  summary: 'Add a member by phone or email',
+  status: 201,
+  params: idParams,
+  body: object({ contact: contactSchema }, { required: ['contact'] })
+}), requireGroupMember, (req, res) => {
+  const { contact } = req.body;
+  const group = req.group;
+
+  if (group.archived) {
+    throw new ApiError(400, 'Group is archived', { code: 'GROUP_ARCHIVED' });
+  }
+
+  const normalizedContact = normalizeContact(contact);
+  if (!normalizedContact) {
+    throw new ApiError(400, 'Invalid phone number or email format', { code: 'INVALID_CONTACT' });
+  }
+
+  const member = users.find(u => u.phone === normalizedContact || u.email === normalizedContact);
+  if (!member) {
+    throw new ApiError(404, 'No account found for that phone number or email', { code: 'ACCOUNT_NOT_FOUND' });
+  }
+
+  if (isGroupMember(group, member.id)) {
+    throw new ApiError(400, 'Already a member of this group', { code: 'ALREADY_MEMBER' });
+  }
+
+  group.members.push(toGroupMember(member, 'member'));
+  saveData();
+
+  res.status(201).json({ success: true, group });
+});
+
+// Remove a member - the owner can remove anyone else, members can remove themselves
+app.delete('/api/groups/:id/members/:userId', authenticateToken, validate({
+  summary: 'Remove a member, or leave the group',
+  params: object({ id: schema.id, userId: schema.id }, { required: ['id', 'userId'] })
+}), requireGroupMember, (req, res) => {
+  const group = req.group;
+  const callerId = req.user.userId;
+  const member = group.members.find(m => m.userId === req.params.userId);
+
+  if (group.archived) {
+    throw new ApiError(400, 'Group is archived', { code: 'GROUP_ARCHIVED' });
+  }
+
+  if (!member) {
+    throw new ApiError(404, 'Member not found');
+  }
+
+  if (member.role === 'owner') {
+    throw new ApiError(400, 'The group owner cannot be removed', { code: 'OWNER_REQUIRED' });
+  }
+
+  if (member.userId !== callerId && group.createdBy !== callerId) {
+    throw new ApiError(403, 'Only the group owner can remove other members');
+  }
+
+  group.members = group.members.filter(m => m.userId !== member.userId);
+  saveData();
+
+  res.json({ success: true, group });
+});
+
+// Archive a group (owner only) - archived groups are read-only
+app.post('/api/groups/:id/archive', authenticateToken, validate({
+  summary: 'Archive a group (owner only)',
+  params: idParams
+}), requireGroupMember, (req, res) => {
+  const group = req.group;
+
+  if (group.createdBy !== req.user.userId) {
+    throw new ApiError(403, 'Only the group owner can archive the group');
+  }
+
+  group.archived = true;
+  group.archivedAt = new Date();
+  saveData();
+
+  res.json({ success: true, group });
+});
+
+// Every expense in the group, regardless of who paid
+app.get('/api/groups/:id/expenses', authenticateToken, validate({
+  summary: 'Every expense in a group',
+  params: idParams
+}), requireGroupMember, (req, res) => {
+  const groupExpenses = expenses.filter(e => e.groupId === req.group.id);
+
+  res.json({
+    success: true,
+    count: groupExpenses.length,
+    expenses: groupExpenses
+  });
+});
+
+// ============= BALANCE ROUTES =============
+
+// What someone still owes on an expense, in cents. Only people who owe a
+// payer have a link.
+function participantOutstanding(participant) {
+  const link = participant.paymentLink && paymentLinks.find(l => l.id === participant.paymentLink);
+  return link ? linkSettlement(link).remaining : 0;
+}
+
+// Stable identity for a person across expenses: the registered account when
+// they are linked to one or the email matches one, otherwise the email,
+// otherwise the lower-cased name. Deleted accounts keep their own key rather
+// than all sharing DELETED_USER_NAME.
+function personKey(person) {
+  const deletedId = person.deletedUserId || (person.id && !users.some(u => u.id === person.id) ? person.id : null);
+  if (deletedId) {
+    return { key: `deleted:${deletedId}`, userId: null, name: person.name };
+  }
+  if (person.id) {
+    return { key: `user:${person.id}`, userId: person.id, name: person.name };
+  }
+  const linked = person.userId && users.find(u => u.id === person.userId);
+  if (linked) {
+    return { key: `user:${linked.id}`, userId: linked.id, name: linked.name };
+  }
+  const email = person.email ? person.email.toLowerCase() : null;
+  const user = email && users.find(u => u.email === email);
+  if (user) {
+    return { key: `user:${user.id}`, userId: user.id, name: user.name };
+  }
+  return {
+    key: email ? `email:${email}` : `name:${String(person.name).trim().toLowerCase()}`,
+    userId: null,
+    name: person.name
+  };
+}
+
+// Net position per person across `expenseList`, in minor units of `currency`.
+// Positive means the person is owed money, negative means they owe.
+function computeBalances(expenseList, currency) {
+  const balances = new Map();
+
+  const adjust = (person, delta) => {
+    const { key, userId, name } = personKey(person);
+    if (!balances.has(key)) {
+      balances.set(key, { key, userId, name, net: 0 });
+    }
+    balances.get(key).net += delta;
+  };
+
+  expenseList.forEach(expense => {
+    linkHolders(expense).forEach(debtor => {
+      const link = paymentLinks.find(l => l.id === debtor.paymentLink);
+      linkPayees(link).forEach(payee => {
+        const owed = convertExpenseAmount(expense, payee.remaining, currency);
+        if (owed > 0) {
+          adjust(expensePerson(expense, payee.participant), owed);
+          adjust(debtor, -owed);
+        }
+      });
+    });
+  });
+
+  return Array.from(balances.values()).filter(b => b.net !== 0);
+}
+
+// Turn net balances into a settle-up plan. Debtors and creditors with exactly
+// opposite balances are paired first; the rest are matched largest debtor to
+// largest creditor, which needs at most (people - 1) transfers.
+function simplifyDebts(balances) {
+  const debtors = balances.filter(b => b.net < 0).map(b => ({ ...b, remaining: -b.net }));
+  const creditors = balances.filter(b => b.net > 0).map(b => ({ ...b, remaining: b.net }));
+  const transfers = [];
+
+  const transfer = (debtor, creditor, amount) => {
+    transfers.push({
+      from: { key: debtor.key, userId: debtor.userId, name: debtor.name },
+      to: { key: creditor.key, userId: creditor.userId, name: creditor.name },
+      amount
+    });
+    debtor.remaining -= amount;
+    creditor.remaining -= amount;
+  };
+
+  debtors.forEach(debtor => {
+    const match = creditors.find(c => c.remaining === debtor.remaining);
+    if (match) {
+      transfer(debtor, match, debtor.remaining);
+    }
+  });
+
+  const byRemaining = (a, b) => b.remaining - a.remaining || a.key.localeCompare(b.key);
+  let openDebtors = debtors.filter(d => d.remaining > 0).sort(byRemaining);
+  let openCreditors = creditors.filter(c => c.remaining > 0).sort(byRemaining);
+
+  while (openDebtors.length > 0 && openCreditors.length > 0) {
+    const debtor = openDebtors[0];
+    const creditor = openCreditors[0];
+    transfer(debtor, creditor, Math.min(debtor.remaining, creditor.remaining));
+    openDebtors = openDebtors.filter(d => d.remaining > 0).sort(byRemaining);
+    openCreditors = openCreditors.filter(c => c.remaining > 0).sort(byRemaining);
+  }
+
+  return transfers;
+}
+
+// Balances plus settle-up plan for a set of expenses, from the caller's point
+// of view and in their home currency
+function balanceSummary(expenseList, userId) {
+  const user = users.find(u => u.id === userId);
+  const currency = (user && user.homeCurrency) || DEFAULT_CURRENCY;
+  const balances = computeBalances(expenseList, currency);
+  const mine = balances.find(b => b.userId === userId);
+
+  return {
+    currency,
+    net: mine ? mine.net : 0,
+    balances,
+    settlements: simplifyDebts(balances)
+  };
+}
+
+// Net balances across every expense the caller can see, with a per-group breakdown
+app.get('/api/balances', authenticateToken, validate({
+  summary: "The caller's net balances, overall and per group"
+}), (req, res) => {
+  const userId = req.user.userId;
+  const visible = expenses.filter(e => canViewExpense(e, userId));
+  const userGroups = groups.filter(g => isGroupMember(g, userId));
+
+  res.json({
+    success: true,
+    ...balanceSummary(visible, userId),
+    groups: userGroups.map(group => ({
+      groupId: group.id,
+      name: group.name,
+      ...balanceSummary(visible.filter(e => e.groupId === group.id), userId)
+    }))
+  });
+});
+
+// Net balances and settle-up plan for one group
+app.get('/api/groups/:id/balances', authenticateToken, validate({
+  summary: 'Net balances and settle-up plan for a group',
+  params: idParams
+}), requireGroupMember, (req, res) => {
+  const groupExpenses = expenses.filter(e => e.groupId === req.group.id);
+
+  res.json({
+    success: true,
+    groupId: req.group.id,
+    ...balanceSummary(groupExpenses, req.user.userId)
+  });
+});
+
+// ============= INVITATION ROUTES =============
+// Participants without an account can be invited to sign up. Signing up with
+// the invited email or phone links them to every expense that lists it and
+// marks the invitation accepted (see linkParticipantsToUser).
+
+function invitationSummary(invitation) {
+  const expense = expenses.find(e => e.id === invitation.expenseId);
+  return {
+    id: invitation.id,
+    name: invitation.name,
+    channel: invitation.channel,
+    contact: invitation.contact,
+    expenseId: invitation.expenseId,
+    description: expense ? expense.description : null,
+    invitedBy: invitation.invitedBy,
+    status: invitation.status,
+    createdAt: invitation.createdAt,
+    acceptedAt: invitation.acceptedAt
+  };
+}
+
+// Invite an expense's unregistered participants (payer only). Send
+// { paymentLink } to invite one participant; otherwise everyone eligible is.
+app.post('/api/expenses/:id/invitations', authenticateToken, validate({
+  summary: "Invite an expense's unregistered participants (payer only)",
+  status: 201,
+  params: idParams,
+  body: object({ paymentLink: schema.id })
+}), (req, res) => {
+  const user = users.find(u => u.id === req.user.userId);
+  const expense = expenses.find(e => e.id === req.params.id && e.paidBy.id === req.user.userId);
+  
+  if (!user || !expense) {
+    throw new ApiError(404, 'Expense not found');
+  }
+  
+  const { paymentLink } = req.body;
+  const targets = paymentLink
+    ? expense.participants.filter(p => p.paymentLink === paymentLink)
+    : expense.participants;
+  
+  if (paymentLink && targets.length === 0) {
+    throw new ApiError(404, 'Participant not found');
+  }
+  
+  const created = [];
+  const skipped = [];
+  
+  targets.forEach(participant => {
+    const contact = participant.email
+      ? { channel: 'email', to: participant.email.toLowerCase() }
+      : (participant.phone ? { channel: 'sms', to: participant.phone } : null);
+    
+    if (participant.userId || findUserForContact(participant)) {
+      skipped.push({ name: participant.name, reason: 'registered' });
+      return;
+    }
+    if (!contact) {
+      skipped.push({ name: participant.name, reason: 'no-contact' });
+      return;
+    }
+    if (invitations.some(i => i.expenseId === expense.id && i.contact === contact.to && i.status === 'pending')) {
+      skipped.push({ name: participant.name, reason: 'already-invited' });
+      return;
+    }
+    
+    const invitation = {
+      id: generateLinkToken(),
+      name: participant.name,
+      channel: contact.channel,
+      contact: contact.to,
+      expenseId: expense.id,
+      invitedBy: { id: user.id, name: user.name },
+      status: 'pending',
+      outboxId: null,
+      createdAt: new Date(),
+      acceptedBy: null,
+      acceptedAt: null
+    };
+    const signUpUrl = `${APP_URL}/?invite=${invitation.id}`;
+    const entry = enqueueNotification({
+      channel: contact.channel,
+      to: contact.to,
+      subject: `${user.name} added you to an expense on SplitEase`,
+      text: `Hi ${participant.name}, ${user.name} added you to "${expense.description}" on SplitEase. ` +
+        `Sign up with this ${contact.channel === 'email' ? 'email address' : 'phone number'} to see what you owe: ${signUpUrl}`,
+      html: `<p>Hi ${escapeHtml(participant.name)},</p><p>${escapeHtml(user.name)} added you to "${escapeHtml(expense.description)}" on SplitEase.</p>` +
+        `<p><a href="${signUpUrl}">Sign up</a> with this email address to see what you owe.</p>`
+    }, { kind: 'invitation', invitationId: invitation.id });
+    invitation.outboxId = entry.id;
+    invitations.push(invitation);
+    created.push(invitation);
+  });
+  
+  saveData();
+  
+  res.status(created.length > 0 ? 201 : 200).json({
+    success: true,
+    invitations: created.map(invitationSummary),
+    skipped
+  });
+});
+
+// Invitations the caller has sent, newest first
+app.get('/api/invitations', authenticateToken, validate({
+  summary: 'Invitations the caller has sent'
+}), (req, res) => {
+  const sent = invitations
+    .filter(i => i.invitedBy.id === req.user.userId)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  
+  res.json({
+    success: true,
+    count: sent.length,
+    invitations: sent.map(invitationSummary)
+  });
+});
+
+// Public view of an invitation for the sign-up page (no auth required)
+app.get('/api/invitations/:id', validate({
+  summary: 'Public view of an invitation',
+  params: idParams
+}), (req, res) => {
+  const invitation = invitations.find(i => i.id === req.params.id);
+  
+  if (!invitation) {
+    throw new ApiError(404, 'Invitation not found');
+  }
+  
+  const { id, name, channel, contact, description, invitedBy, status } = invitationSummary(invitation);
+  res.json({
+    success: true,
+    invitation: { id, name, channel, contact, description, invitedBy: invitedBy.name, status }
+  });
+});
+
+// ============= PAYMENT LINK ROUTES =============
+
+// Settlement types recorded in a payment link's history. 'payment' comes from
+// the participant through the link; 'cash' and 'forgiven' are recorded by one
+// of the people the link pays, towards their own part.
+const SETTLEMENT_TYPES = ['payment', 'cash', 'forgiven'];
+
+// The expense a payment link belongs to. Links from before data version 5
+// lack a valid expenseId, so older migrations fall back to a participant scan.
+function findExpenseForLink(link) {
+  return expenses.find(e => e.id === link.expenseId) ||
+    expenses.find(e => e.participants.some(p => p.paymentLink === link.id));
+}
+
+function isLinkExpired(link, now = new Date()) {
+  return Boolean(link.expiresAt) && new Date(link.expiresAt) <= now;
+}
+
+// Recompute a link's state from its history and copy it onto the participant
+function applyLinkPayments(link) {
+  const settlement = linkSettlement(link);
+  const payments = settledPayments(link);
+  const last = payments[payments.length - 1];
+
+  link.used = settlement.status === 'paid';
+  link.paidAt = link.used && last ? last.createdAt : null;
+
+  const expense = findExpenseForLink(link);
+  const participant = expense && expense.participants.find(p => p.paymentLink === link.id);
+  if (participant) {
+    participant.status = settlement.status;
+    participant.amountPaid = settlement.amountPaid;
+    participant.amountForgiven = settlement.amountForgiven;
+    participant.paid = link.used;
+    participant.paidAt = link.paidAt;
+    participant.paymentMethod = last ? last.method : null;
+    participant.paymentStatus = link.paymentStatus || null;
+  }
+
+  return settlement;
+}
+
+// Check an amount about to be settled on a link; it defaults to the remaining
+// balance, or to what is left of `payee`'s part when one payee settles their
+// own. Returns { value } or { status, error, code }.
+function checkLinkPayment(link, type, amount, payee) {
+  const { remaining } = payee === undefined
+    ? linkSettlement(link)
+    : linkPayees(link).find(p => p.participant === payee);
+  const value = amount === undefined || amount === null ? remaining : amount;
+
+  // The participant can only pay through a live link; a payee can record
+  // cash or forgive a debt on any link still attached to the expense
+  if (type === 'payment' && link.voided) {
+    return { status: 410, error: 'This payment link has been cancelled', code: 'LINK_VOIDED' };
+  }
+
+  if (type === 'payment' && isLinkExpired(link)) {
+    return { status: 410, error: 'This payment link has expired', code: 'LINK_EXPIRED' };
+  }
+
+  if (remaining === 0) {
+    return { status: 400, error: 'Payment already processed', code: 'ALREADY_PAID' };
+  }
+
+  if (!Number.isInteger(value) || value <= 0) {
+    return { status: 400, error: 'Amount must be a positive whole number of cents', code: 'VALIDATION_FAILED' };
+  }
+
+  if (value > remaining) {
+    return { status: 400, error: `Amount exceeds the remaining balance of ${remaining} cents`, code: 'AMOUNT_EXCEEDS_BALANCE' };
+  }
+
+  return { value };
+}
+
+// Add an entry to a link's history and update the link and participant.
+// `payee` is the payer a settlement was recorded by and counts towards.
+function appendLinkPayment(link, { type, amount, method, note, recordedBy, checkoutId, payee }) {
+  const payment = {
+    id: Math.random().toString(36).substr(2, 10),
+    type,
+    amount,
+    method: method || null,
+    note: note || null,
+    recordedBy: recordedBy || null,
+    checkoutId: checkoutId || null,
+    payee: payee === undefined ? null : payee,
+    createdAt: new Date().toISOString()
+  };
+
+  link.payments = [...(link.payments || []), payment];
+  const settlement = applyLinkPayments(link);
+
+  return { settlement, payment };
+}
+
+// Record an entry in a link's history. Returns { settlement, payment } or
+// { status, error, code }.
+function recordLinkPayment(link, { type, amount, method, note, recordedBy, payee }) {
+  const checked = checkLinkPayment(link, type, amount, payee);
+  if (checked.error) {
+    return checked;
+  }
+  return appendLinkPayment(link, { type, amount: checked.value, method, note, recordedBy, payee });
+}
+
+// Get payment link details (what non-app users see)
+app.get('/api/payment-links/:id', validate({
+  summary: 'Public view of a payment link',
+  params: idParams
+}), (req, res) => {
+  const paymentLink = paymentLinks.find(p => p.id === req.params.id);
+  
+  if (!paymentLink) {
+    throw new ApiError(404, 'Payment link not found or expired');
+  }
+  
+  if (paymentLink.voided) {
+    throw new ApiError(410, 'This payment link has been cancelled', { code: 'LINK_VOIDED' });
+  }
+  
+  if (isLinkExpired(paymentLink)) {
+    throw new ApiError(410, 'This payment link has expired', { code: 'LINK_EXPIRED' });
+  }
+  
+  if (paymentLink.used) {
+    throw new ApiError(410, 'This payment link has already been used', { code: 'LINK_USED' });
+  }
+  
+  const settlement = linkSettlement(paymentLink);
+  
+  res.json({
+    success: true,
+    paymentDetails: {
+      amount: paymentLink.amount,
+      currency: paymentLink.currency,
+      amountPaid: settlement.amountPaid,
+      remaining: settlement.remaining,
+      status: settlement.status,
+      paymentStatus: paymentLink.paymentStatus || null,
+      description: paymentLink.description,
+      paidBy: paymentLink.paidBy,
+      payTo: linkPayees(paymentLink).map(({ name, amount, remaining }) => ({ name, amount, remaining })),
+      participantName: paymentLink.participantName,
+      markedSent: paymentLink.markedSent || null,
+      expiresAt: paymentLink.expiresAt,
+      // Only what was settled and when - not who recorded it, their notes or
+      // the checkout behind it
+      payments: (paymentLink.payments || []).map(({ type, amount, createdAt }) => ({ type, amount, createdAt }))
+    }
+  });
+});
+
+// The account of the person a link's payee entry pays, if they have one
+function payeeAccount(expense, payee) {
+  const person = expense && expensePerson(expense, payee.participant);
+  const userId = person && holderUserId(expense, person);
+  return userId ? users.find(u => u.id === userId) : undefined;
+}
+
+// GET /payment/:id - The pay page: the link as HTML for people without the
+// app, with a QR code of itself and the payers' own payment apps
+app.get('/payment/:id', async (req, res) => {
+  const paymentLink = paymentLinks.find(p => p.id === req.params.id);
+  res.set('Referrer-Policy', 'no-referrer');
+
+  if (!paymentLink) {
+    return res.status(404).send(payPage.renderNoticePage('Link not found', 'This payment link does not exist. Check you have the whole link.'));
+  }
+  if (paymentLink.voided) {
+    return res.status(410).send(payPage.renderNoticePage('Link cancelled', 'This payment link has been cancelled. Nothing more is owed through it.'));
+  }
+
+  const settlement = linkSettlement(paymentLink);
+  if (settlement.remaining > 0 && isLinkExpired(paymentLink)) {
+    return res.status(410).send(payPage.renderNoticePage('Link expired', 'This payment link has expired. Ask for a new one.'));
+  }
+
+  const expense = findExpenseForLink(paymentLink);
+  const { currency } = paymentLink;
+  const decimals = currencyDecimals(currency);
+  const reference = payPage.transferReference(paymentLink.id);
+  const payees = linkPayees(paymentLink)
+    .filter(payee => payee.remaining > 0)
+    .map(payee => {
+      const account = payeeAccount(expense, payee);
+      return {
+        name: payee.name,
+        amount: formatMoney(payee.remaining, currency),
+        options: payPage.paymentOptions(account && account.paymentHandles, {
+          amount: formats.fromMinorUnits(payee.remaining, decimals),
+          currency,
+          payeeName: payee.name,
+          note: `${paymentLink.description} (${reference})`,
+          reference
+        })
+      };
+    });
+  const pageUrl = `${APP_URL}/payment/${paymentLink.id}`;
+
+  res.send(payPage.renderPayPage({
+    linkId: paymentLink.id,
+    description: paymentLink.description,
+    participantName: paymentLink.participantName,
+    remaining: formatMoney(settlement.remaining, currency),
+    paid: formatMoney(settlement.amountPaid + settlement.amountForgiven, currency),
+    status: settlement.status,
+    payees,
+    qrSvg: await QRCode.toString(pageUrl, { type: 'svg', margin: 1 }),
+    pageUrl,
+    markedSent: paymentLink.markedSent || null,
+    justMarked: req.query.sent === '1'
+  }));
+});
+
+const markSentByLink = createRateLimiter({ windowMs: 60 * 60 * 1000, max: MARK_SENT_PER_LINK });
+const markSentByIp = createRateLimiter({ windowMs: 60 * 60 * 1000, max: MARK_SENT_PER_IP });
+
+// POST /api/payment-links/:id/sent - The participant says they paid outside
+// the app. Nothing is settled: the payer is told, and records the payment
+// once it arrives. Saying so again with the same method changes nothing. The
+// pay page's form posts here too and is sent back to it.
+app.post('/api/payment-links/:id/sent', express.urlencoded({ extended: false }), validate({
+  summary: 'Mark a link as paid outside the app',
+  params: idParams,
+  body: object({
+    method: string({ enum: payPage.SENT_METHODS, description: 'How it was paid' })
+  }, { required: ['method'] })
+}), (req, res) => {
+  const paymentLink = paymentLinks.find(p => p.id === req.params.id);
+
+  if (!paymentLink) {
+    throw new ApiError(404, 'Payment link not found');
+  }
+
+  const checked = checkLinkPayment(paymentLink, 'payment');
+  if (checked.error) {
+    throw new ApiError(checked.status, checked.error, { code: checked.code });
+  }
+
+  if (!paymentLink.markedSent || paymentLink.markedSent.method !== req.body.method) {
+    const retryAfter = markSentByIp.allow(req.ip) || markSentByLink.allow(paymentLink.id);
+    if (retryAfter) {
+      throw tooManyRequests(retryAfter, 'Too many updates to this payment. Please try again later.');
+    }
+
+    paymentLink.markedSent = { at: new Date().toISOString(), method: req.body.method };
+    const expense = findExpenseForLink(paymentLink);
+    const holder = expense && linkHolders(expense).find(p => p.paymentLink === paymentLink.id);
+    if (holder) {
+      recordActivity('payment.sent', expense, { id: holderUserId(expense, holder), name: paymentLink.participantName }, {
+        amount: checked.value,
+        currency: paymentLink.currency,
+        method: req.body.method
+      });
+    }
+    saveData();
+    publishPaymentEvent(paymentLink);
+  }
+
+  if (req.is('application/x-www-form-urlencoded')) {
+    return res.redirect(303, `/payment/${encodeURIComponent(paymentLink.id)}?sent=1`);
+  }
+
+  res.json({
+    success: true,
+    markedSent: paymentLink.markedSent
+  });
+});
+
+// Start paying a link - `amount` (cents) is optional and defaults to the remaining balance.
+// Returns a checkout URL at the payment provider; the link is only marked paid
+// once the provider's webhook confirms the payment.
+app.post('/api/payment-links/:id/pay', validate({
+  summary: 'Start paying a link through the payment provider',
+  status: 201,
+  params: idParams,
+  body: object({ amount: integer({ minimum: 1, description: 'Cents to pay; defaults to the remaining balance' }) })
+}), async (req, res) => {
+  const { amount } = req.body;
+  const paymentLink = paymentLinks.find(p => p.id === req.params.id);
+  
+  if (!paymentLink) {
+    throw new ApiError(404, 'Payment link not found');
+  }
+  
+  const checked = checkLinkPayment(paymentLink, 'payment', amount);
+  if (checked.error) {
+    throw new ApiError(checked.status, checked.error, { code: checked.code });
+  }
+  
+  expireCheckouts();
+  const open = checkouts.find(c =>
+    c.paymentLinkId === paymentLink.id && c.status === 'pending' && c.amount === checked.value
+  );
+  if (open) {
+    return res.json({
+      success: true,
+      checkout: checkoutSummary(open)
+    });
+  }
+  
+  const now = new Date();
+  const checkout = {
+    id: generateLinkToken(),
+    paymentLinkId: paymentLink.id,
+    provider: paymentProvider.name,
+    sessionId: null,
+    url: null,
+    amount: checked.value,
+    currency: paymentLink.currency,
+    status: 'pending',
+    paymentId: null,
+    events: [],
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + CHECKOUT_TTL_MS).toISOString()
+  };
+  
+  try {
+    const session = await paymentProvider.createCheckout({
+      checkoutId: checkout.id,
+      amount: checkout.amount,
+      currency: checkout.currency,
+      description: paymentLink.description
+    });
+    checkout.sessionId = session.sessionId;
+    checkout.url = session.url;
+  } catch (error) {
+    console.error('Checkout creation failed:', error);
+    throw new ApiError(502, 'The payment provider is unavailable, please try again');
+  }
+  
+  checkouts.push(checkout);
+  setLinkPaymentStatus(paymentLink, checkout);
+  saveData();
+  publishPaymentEvent(paymentLink);
+  
+  res.status(201).json({
+    success: true,
+    checkout: checkoutSummary(checkout)
+  });
+});
+
+// For a link still attached to its expense and paying the caller: the
+// expense, the link's holder and the caller's reference on the expense
+// ('me' or a participant index), or undefined. Whoever holds the link never
+// manages it, even if it pays them.
+function findLinkPayee(link, userId) {
+  const expense = findExpenseForLink(link);
+  const holder = expense && linkHolders(expense).find(p => p.paymentLink === link.id);
+  if (!holder || holderUserId(expense, holder) === userId) {
+    return undefined;
+  }
+  const ref = personRef(expense, userId);
+  if (ref === null || !link.payTo.some(p => p.participant === ref)) {
+    return undefined;
+  }
+  return { expense, holder, payee: ref };
+}
+
+// Record a settlement made outside the app - only someone the link pays can
+// do this, towards their own part. type is 'cash' (money received) or
+// 'forgiven'; `amount` defaults to what is left of their part.
+app.post('/api/payment-links/:id/settlements', authenticateToken, validate({
+  summary: 'Record a cash payment or forgive a debt (payee only)',
+  status: 201,
+  params: idParams,
+  body: object({
+    type: string({ enum: SETTLEMENT_TYPES.filter(t => t !== 'payment') }),
+    amount: integer({ minimum: 1, description: 'Cents; defaults to the remaining balance' }),
+    note: nullable(string({ maxLength: 500 }))
+  }, { required: ['type'] })
+}), (req, res) => {
+  const { type, amount, note } = req.body;
+  const paymentLink = paymentLinks.find(p => p.id === req.params.id);
+  const found = paymentLink && findLinkPayee(paymentLink, req.user.userId);
+  
+  if (!found) {
+    throw new ApiError(404, 'Payment link not found');
+  }
+  
+  const result = recordLinkPayment(paymentLink, {
+    type,
+    amount,
+    method: type === 'cash' ? 'cash' : null,
+    note,
+    recordedBy: req.user.userId,
+    payee: found.payee
+  });
+  
+  if (result.error) {
+    throw new ApiError(result.status, result.error, { code: result.code });
+  }
+  
+  saveData();
+  publishPaymentEvent(paymentLink);
+  
+  res.status(201).json({
+    success: true,
+    settlement: result.payment,
+    ...result.settlement
+  });
+});
+
+// Payment history for a link - visible to anyone who can see the expense
+app.get('/api/payment-links/:id/payments', authenticateToken, validate({
+  summary: "A link's payment history",
+  params: idParams
+}), (req, res) => {
+  const paymentLink = paymentLinks.find(p => p.id === req.params.id);
+  const expense = paymentLink && findExpenseForLink(paymentLink);
+  
+  if (!paymentLink || !expense || !canViewExpense(expense, req.user.userId)) {
+    throw new ApiError(404, 'Payment link not found');
+  }
+  
+  res.json({
+    success: true,
+    amount: paymentLink.amount,
+    ...linkSettlement(paymentLink),
+    payments: paymentLink.payments || []
+  });
+});
+
+// Revoke a link (payee only) - it can no longer be viewed or paid. The debt
+// remains on the expense; use regenerate to issue a new link for it.
+app.post('/api/payment-links/:id/revoke', authenticateToken, validate({
+  summary: 'Revoke a payment link (payee only)',
+  params: idParams
+}), (req, res) => {
+  const paymentLink = paymentLinks.find(p => p.id === req.params.id);
+  
+  if (!paymentLink || !findLinkPayee(paymentLink, req.user.userId)) {
+    throw new ApiError(404, 'Payment link not found');
+  }
+  
+  if (paymentLink.voided) {
+    throw new ApiError(400, 'Payment link is already revoked', { code: 'LINK_VOIDED' });
+  }
+  
+  voidPaymentLink(paymentLink, 'revoked');
+  saveData();
+  
+  res.json({
+    success: true,
+    message: 'Payment link revoked'
+  });
+});
+
+// Replace a link with a fresh token and expiry (payee only). Payment history
+// carries over; the old link stops working.
+app.post('/api/payment-links/:id/regenerate', authenticateToken, validate({
+  summary: 'Replace a payment link with a new one (payee only)',
+  status: 201,
+  params: idParams
+}), (req, res) => {
+  const oldLink = paymentLinks.find(p => p.id === req.params.id);
+  const found = oldLink && findLinkPayee(oldLink, req.user.userId);
+  
+  if (!found) {
+    throw new ApiError(404, 'Payment link not found');
+  }
+  
+  const { expense, holder } = found;
+  const newLink = createPaymentLink(
+    expense,
+    { name: oldLink.participantName, email: oldLink.participantEmail, phone: oldLink.participantPhone },
+    oldLink.payTo
+  );
+  newLink.payments = [...(oldLink.payments || [])];
+  
+  if (!oldLink.voided) {
+    voidPaymentLink(oldLink, 'regenerated');
+  }
+  oldLink.replacedBy = newLink.id;
+  holder.paymentLink = newLink.id;
+  applyLinkPayments(newLink);
+  saveData();
+  
+  res.status(201).json({
+    success: true,
+    paymentLink: {
+      id: newLink.id,
+      url: `${APP_URL}/payment/${newLink.id}`,
+      expiresAt: newLink.expiresAt
+    }
+  });
+});
+
+// ============= CHECKOUT ROUTES =============
+
+// Checkout states and the provider events that move between them. Events
+// that don't apply to the current state are acknowledged and ignored. A
+// checkout that timed out can still be reported paid - the money was taken.
+const CHECKOUT_TRANSITIONS = {
+  pending: { 'payment.succeeded': 'succeeded', 'payment.failed': 'failed' },
+  expired: { 'payment.succeeded': 'succeeded', 'payment.failed': 'failed' },
+  failed: { 'payment.succeeded': 'succeeded' },
+  succeeded: { 'payment.refunded': 'refunded' },
+  refunded: {}
+};
+
+function checkoutSummary(checkout) {
+  return {
+    id: checkout.id,
+    paymentLinkId: checkout.paymentLinkId,
+    provider: checkout.provider,
+    status: checkout.status,
+    amount: checkout.amount,
+    currency: checkout.currency,
+    url: checkout.status === 'pending' ? checkout.url : null,
+    expiresAt: checkout.expiresAt,
+    createdAt: checkout.createdAt,
+    updatedAt: checkout.updatedAt
+  };
+}
+
+// The link a checkout's payment belongs on: its own, or the one that replaced
+// it if the payer regenerated the link meanwhile
+function currentLinkFor(checkout) {
+  let link = paymentLinks.find(l => l.id === checkout.paymentLinkId);
+  while (link && link.replacedBy) {
+    link = paymentLinks.find(l => l.id === link.replacedBy);
+  }
+  return link;
+}
+
+// Show the latest checkout's state on its link and participant
+function setLinkPaymentStatus(link, checkout) {
+  link.checkoutId = checkout.id;
+  link.paymentStatus = checkout.status;
+  applyLinkPayments(link);
+}
+
+// Time out pending checkouts nobody completed
+function expireCheckouts(now = new Date()) {
+  checkouts
+    .filter(c => c.status === 'pending' && new Date(c.expiresAt) <= now)
+    .forEach(checkout => {
+      checkout.status = 'expired';
+      checkout.updatedAt = now.toISOString();
+      const link = currentLinkFor(checkout);
+      if (link && link.checkoutId === checkout.id) {
+        setLinkPaymentStatus(link, checkout);
+      }
+    });
+}
+
+// Apply a verified provider event to its checkout. Returns whether the
+// checkout changed state.
+function applyCheckoutEvent(checkout, event) {
+  const now = new Date().toISOString();
+  const next = CHECKOUT_TRANSITIONS[checkout.status][event.type];
+  checkout.events.push({ id: event.id, type: event.type, receivedAt: now, applied: Boolean(next) });
+
+  if (!next) {
+    console.log(`💳 Ignored ${event.type} for ${checkout.status} checkout ${checkout.id}`);
+    return false;
+  }
+
+  checkout.status = next;
+  checkout.updatedAt = now;
+  const link = currentLinkFor(checkout);
+  if (!link) {
+    return true;
+  }
+
+  if (next === 'succeeded') {
+    // Pay off at most what is still owed; anything over needs refunding
+    const amount = Math.min(checkout.amount, linkSettlement(link).remaining);
+    if (amount > 0) {
+      const { payment } = appendLinkPayment(link, {
+        type: 'payment',
+        amount,
+        method: checkout.provider,
+        checkoutId: checkout.id
+      });
+      checkout.paymentId = payment.id;
+      const expense = findExpenseForLink(link);
+      const holder = expense && linkHolders(expense).find(p => p.paymentLink === link.id);
+      if (holder) {
+        recordActivity('payment.received', expense, { id: holderUserId(expense, holder), name: link.participantName }, {
+          amount,
+          currency: link.currency,
+          method: checkout.provider
+        });
+      }
+    }
+    checkout.overpaid = checkout.amount - amount;
+    if (checkout.overpaid > 0) {
+      console.log(`💳 Checkout ${checkout.id} paid ${checkout.overpaid} more than link ${link.id} was owed`);
+    }
+  }
+
+  if (next === 'refunded') {
+    const payment = (link.payments || []).find(p => p.id === checkout.paymentId);
+    if (payment) {
+      payment.refundedAt = now;
+    }
+  }
+
+  setLinkPaymentStatus(link, checkout);
+  return true;
+}
+
+// Payment provider webhooks. The signature covers the raw body; each event is
+// applied at most once however often the provider delivers it.
+app.post('/api/webhooks/payments/:provider', validate({
+  summary: 'Payment provider webhook',
+  description: "Called by the payment provider. The body is the provider's signed event and is verified as raw bytes.",
+  params: object({ provider: string({ minLength: 1, maxLength: 40 }) }, { required: ['provider'] }),
+  bodyType: 'application/json'
+}), (req, res) => {
+  if (req.params.provider !== paymentProvider.name) {
+    throw new ApiError(404, 'Unknown payment provider', { code: 'UNKNOWN_PROVIDER' });
+  }
+  
+  let event;
+  try {
+    event = paymentProvider.parseWebhook(req.body, req.headers);
+  } catch (error) {
+    console.log('💳 Rejected payment webhook:', error.message);
+    throw new ApiError(400, 'Invalid webhook signature', { code: 'INVALID_SIGNATURE' });
+  }
+  
+  // Acknowledge events we don't handle so the provider stops retrying them
+  const checkout = checkouts.find(c => c.provider === paymentProvider.name && c.sessionId === event.sessionId);
+  if (!event.id || !WEBHOOK_EVENT_TYPES.includes(event.type) || !checkout) {
+    return res.json({ success: true, received: true, ignored: true });
+  }
+  
+  if (checkout.events.some(e => e.id === event.id)) {
+    return res.json({ success: true, received: true, duplicate: true, status: checkout.status });
+  }
+  
+  const applied = applyCheckoutEvent(checkout, event);
+  saveData();
+  const link = currentLinkFor(checkout);
+  if (applied && link) {
+    publishPaymentEvent(link);
+  }
+  
+  res.json({ success: true, received: true, applied, status: checkout.status });
+});
+
+// Checkout status - public, like the payment link, so the pay page can poll it
+app.get('/api/checkouts/:id', validate({
+  summary: 'Checkout status',
+  params: idParams
+}), (req, res) => {
+  expireCheckouts();
+  const checkout = checkouts.find(c => c.id === req.params.id);
+  
+  if (!checkout) {
+    throw new ApiError(404, 'Checkout not found');
+  }
+  
+  res.json({
+    success: true,
+    checkout: checkoutSummary(checkout)
+  });
+});
+
+// Refund a checkout (payer of the expense only). The refund takes effect when
+// the provider's webhook confirms it.
+app.post('/api/checkouts/:id/refund', authenticateToken, validate({
+  summary: 'Refund a checkout (payer only)',
+  status: 202,
+  params: idParams
+}), async (req, res) => {
+  const checkout = checkouts.find(c => c.id === req.params.id);
+  const link = checkout && paymentLinks.find(l => l.id === checkout.paymentLinkId);
+  const expense = link && findExpenseForLink(link);
+  
+  if (!expense || expense.paidBy.id !== req.user.userId) {
+    throw new ApiError(404, 'Checkout not found');
+  }
+  
+  if (checkout.status !== 'succeeded') {
+    throw new ApiError(400, 'Only a successful checkout can be refunded', { code: 'NOT_REFUNDABLE' });
+  }
+  
+  try {
+    await paymentProvider.refund({ sessionId: checkout.sessionId, amount: checkout.amount });
+  } catch (error) {
+    console.error('Refund request failed:', error);
+    throw new ApiError(502, 'The payment provider is unavailable, please try again');
+  }
+  
+  res.status(202).json({
+    success: true,
+    message: 'Refund requested'
+  });
+});
+
+// Hosted checkout pages for the mock provider, standing in for a real processor's
+if (paymentProvider.name === 'mock') {
+  app.get('/mock-checkout/:sessionId', (req, res) => {
+    const checkout = checkouts.find(c => c.sessionId === req.params.sessionId);
+    const link = checkout && paymentLinks.find(l => l.id === checkout.paymentLinkId);
+    
+    if (!checkout || !link) {
+      return res.status(404).send('Checkout not found');
+    }
+    
+    const action = `/mock-checkout/${encodeURIComponent(checkout.sessionId)}/complete`;
+    res.send(`<!DOCTYPE html>
+<html>
+<head><title>Mock checkout</title></head>
+<body style="font-family: Arial, sans-serif; max-width: 480px; margin: 50px auto;">
+  <h2>🧪 Mock checkout</h2>
+  <p>${escapeHtml(link.description)} - ${escapeHtml(formatMoney(checkout.amount, checkout.currency))} to ${escapeHtml(link.paidBy.name)}</p>
+  <p>Status: <strong>${escapeHtml(checkout.status)}</strong></p>
+  <form method="post" action="${action}">
+    <button name="outcome" value="succeeded">Pay</button>
+    <button name="outcome" value="failed">Decline</button>
+  </form>
+</body>
+</html>`);
+  });
+  
+  // Choose the outcome; the mock provider reports it through the signed webhook
+  app.post('/mock-checkout/:sessionId/complete', express.urlencoded({ extended: false }), async (req, res) => {
+    const checkout = checkouts.find(c => c.sessionId === req.params.sessionId);
+    const outcome = req.body && req.body.outcome;
+    
+    if (!checkout) {
+      throw new ApiError(404, 'Checkout not found');
+    }
+    
+    if (!['succeeded', 'failed'].includes(outcome)) {
+      throw new ApiError(400, "outcome must be 'succeeded' or 'failed'");
+    }
+    
+    try {
+      await paymentProvider.complete(checkout.sessionId, outcome, checkout.amount);
+    } catch (error) {
+      console.error('Mock webhook failed:', error);
+      throw new ApiError(502, 'Webhook delivery failed', { code: 'DELIVERY_FAILED' });
+    }
+    
+    // The page's own form goes back to the page, which now shows the result
+    if (req.is('application/x-www-form-urlencoded')) {
+      return res.redirect(303, `/mock-checkout/${encodeURIComponent(checkout.sessionId)}`);
+    }
+    
+    res.json({
+      success: true,
+      checkout: checkoutSummary(checkout)
+    });
+  });
+}
+
+// ============= REMINDER ROUTES =============
+
+// Unpaid participants get a reminder REMINDER_DAYS after their link was
+// created, then every REMINDER_REPEAT_DAYS. Reminders are queued in the
+// outbox and delivered by processOutbox(), which retries failures with
+// exponential backoff. Users can override the schedule in their settings.
+
+// Queue a message for delivery; returns the outbox entry
+function enqueueNotification(message, meta = {}) {
+  const entry = {
+    id: uniqueId(outbox),
+    ...message,
+    ...meta,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: new Date().toISOString(),
+    lastError: null,
+    createdAt: new Date().toISOString(),
+    sentAt: null
+  };
+  outbox.push(entry);
+  return entry;
+}
+
+// Whether a queued message should still go out. Sends are awaited one at a
+// time, so it may have been cancelled, or its link settled, voided or opted
+// out of, since the run started.
+function isStillDeliverable(message) {
+  if (message.status !== 'pending' || !outbox.includes(message)) {
+    return false;
+  }
+  if (message.kind !== 'reminder') {
+    return true;
+  }
+  const link = paymentLinks.find(l => l.id === message.paymentLinkId);
+  return Boolean(link) && !link.voided && !isLinkExpired(link) &&
+    linkSettlement(link).remaining > 0 && !isOptedOut(message.to);
+}
+
+// Send whatever is due in the outbox
+let outboxRunning = false;
+async function processOutbox(now = new Date()) {
+  if (outboxRunning) {
+    return;
+  }
+  outboxRunning = true;
+
+  try {
+    const due = outbox.filter(m => m.status === 'pending' && new Date(m.nextAttemptAt) <= now);
+
+    for (const message of due) {
+      if (!isStillDeliverable(message)) {
+        if (message.status === 'pending') {
+          message.status = 'cancelled';
+        }
+        continue;
+      }
+      message.attempts += 1;
+      try {
+        const delivery = await sendNotification(message);
+        message.status = 'sent';
+        message.devMode = delivery.devMode;
+        message.sentAt = new Date().toISOString();
+        message.lastError = null;
+        publishReminderEvent(message);
+      } catch (error) {
+        message.lastError = error.message;
+        if (message.attempts >= OUTBOX_MAX_ATTEMPTS) {
+          message.status = 'failed';
+          console.error(`📨 Giving up on ${message.channel} to ${message.to}:`, error.message);
+        } else {
+          // 1, 2, 4, 8... minutes
+          const delay = OUTBOX_INTERVAL_MS * Math.pow(2, message.attempts - 1);
+          message.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        }
+      }
+    }
+
+    if (due.length > 0) {
+      saveData();
+    }
+  } finally {
+    outboxRunning = false;
+  }
+}
+
+// Tell the payer a reminder went out for one of their expenses. It goes in
+// the reminded participant's activity feed too.
+function publishReminderEvent(message) {
+  const expense = message.kind === 'reminder' && expenses.find(e => e.id === message.expenseId);
+  const link = expense && paymentLinks.find(l => l.id === message.paymentLinkId);
+  if (!link) {
+    return;
+  }
+  const holder = linkHolders(expense).find(p => p.paymentLink === link.id);
+  const participantId = holder ? holderUserId(expense, holder) || null : null;
+  recordActivity('reminder.sent', expense, null, {
+    participant: { id: participantId, name: link.participantName },
+    channel: message.channel
+  }, [expense.paidBy.id, participantId]);
+  publishEvent('reminder.sent', [expense.paidBy.id], {
+    expenseId: expense.id,
+    paymentLinkId: link.id,
+    participantName: link.participantName,
+    channel: message.channel,
+    sentAt: message.sentAt
+  });
+}
+
+// A user's reminder settings, falling back to the server defaults
+function reminderSettings(user) {
+  return {
+    enabled: true,
+    days: REMINDER_DAYS,
+    repeatEveryDays: REMINDER_REPEAT_DAYS,
+    ...((user && user.reminderSettings) || {})
+  };
+}
+
+function isOptedOut(contact) {
+  return Boolean(contact) && reminderOptOuts.some(o => o.contact === contact);
+}
+
+// How to reach a link's participant: email first, then SMS
+function reminderChannel(link) {
+  if (link.participantEmail && !isOptedOut(link.participantEmail.toLowerCase())) {
+    return { channel: 'email', to: link.participantEmail.toLowerCase() };
+  }
+  if (link.participantPhone && !isOptedOut(link.participantPhone)) {
+    return { channel: 'sms', to: link.participantPhone };
+  }
+  return null;
+}
+
+// When the next reminder for a link is due, or null if none is scheduled.
+// Days that had already passed when the last reminder went out are skipped,
+// so a link that missed several (an old link, or changed settings) gets one
+// catch-up reminder rather than one per run.
+function nextReminderAt(link, settings) {
+  const sent = link.reminders || [];
+  const created = new Date(link.createdAt).getTime();
+  const last = sent.length > 0 ? new Date(sent[sent.length - 1].queuedAt).getTime() : null;
+
+  const next = settings.days
+    .map(days => created + days * DAY_MS)
+    .find(at => last === null || at > last);
+  if (next !== undefined) {
+    return new Date(next);
+  }
+  if (!settings.repeatEveryDays) {
+    return null;
+  }
+  return new Date((last === null ? created : last) + settings.repeatEveryDays * DAY_MS);
 }
 
-// NEW: Utility functions for authentication
-function generateVerificationCode() {
-    return Math.floor(100000 + Math.random() * 900000).toString();
-}
+function reminderMessage(link, expense, target) {
+  const { remaining } = linkSettlement(link);
+  const owed = formatMoney(remaining, link.currency || DEFAULT_CURRENCY);
+  const payUrl = `${APP_URL}/payment/${link.id}`;
+  const optOutUrl = `${APP_URL}/payment/${link.id}/opt-out`;
+  const payees = link.payTo.map(p => p.name).join(' and ');
+  const text = `Hi ${link.participantName}, a reminder that you owe ${owed} to ${payees} for "${link.description}". Pay here: ${payUrl}`;
 
-function isValidEmail(email) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
+  return {
+    ...target,
+    subject: `Reminder: ${owed} for ${link.description}`,
+    text: target.channel === 'sms' ? text : `${text}\n\nStop these reminders: ${optOutUrl}`,
+    // Names and the description come from other people, so are escaped
+    html: `<p>Hi ${escapeHtml(link.participantName)}, a reminder that you owe ${escapeHtml(owed)} to ${escapeHtml(payees)} ` +
+      `for "${escapeHtml(link.description)}". Pay here: <a href="${payUrl}">${payUrl}</a></p>` +
+      `<p><small><a href="${optOutUrl}">Stop these reminders</a></small></p>`
+  };
 }
 
-function detectContactType(contact) {
-    if (contact.includes('@')) {
-        return isValidEmail(contact) ? 'email' : null;
-    } else {
-        try {
-            const phoneNumber = parsePhoneNumber(contact, 'US');
-            return phoneNumber.isValid() ? 'phone' : null;
-        } catch {
-            return null;
-        }
+// Queue every reminder that has fallen due
+function scheduleReminders(now = new Date()) {
+  let queued = 0;
+
+  paymentLinks.forEach(link => {
+    if (link.voided || isLinkExpired(link, now) || linkSettlement(link).remaining === 0) {
+      return;
     }
-}
 
-// NEW: Authentication middleware
-function authenticateToken(req, res, next) {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
+    const expense = findExpenseForLink(link);
+    const payer = expense && users.find(u => u.id === expense.paidBy.id);
+    const settings = reminderSettings(payer);
+    const target = reminderChannel(link);
+    const dueAt = nextReminderAt(link, settings);
 
-    if (!token) {
-        return res.status(401).json({ error: 'Access token required' });
+    if (!expense || !settings.enabled || !target || !dueAt || dueAt > now) {
+      return;
     }
 
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-        if (err) {
-            return res.status(403).json({ error: 'Invalid or expired token' });
-        }
-        req.user = user;
-        next();
+    const entry = enqueueNotification(reminderMessage(link, expense, target), {
+      kind: 'reminder',
+      paymentLinkId: link.id,
+      expenseId: expense.id
     });
-}
+    link.reminders = [...(link.reminders || []), { outboxId: entry.id, channel: target.channel, queuedAt: entry.createdAt }];
+    queued += 1;
+  });
 
-// Call loadData when server starts
-loadData();
+  if (queued > 0) {
+    saveData();
+  }
+  return queued;
+}
 
-// Middleware
-app.use(cors());
-app.use(express.json());
+// Get the caller's reminder settings
+app.get('/api/reminders/settings', authenticateToken, validate({
+  summary: "The caller's reminder settings"
+}), (req, res) => {
+  const user = users.find(u => u.id === req.user.userId);
+  if (!user) {
+    throw new ApiError(404, 'User not found');
+  }
 
-// Serve the frontend HTML file
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'index.html'));
+  res.json({ success: true, settings: reminderSettings(user) });
 });
 
-// ============= NEW: AUTHENTICATION ROUTES =============
+// Update the caller's reminder settings: { enabled, days: [3, 7], repeatEveryDays: 7 }
+// (repeatEveryDays 0 turns off repeats)
+app.put('/api/reminders/settings', authenticateToken, validate({
+  summary: "Update the caller's reminder settings",
+  body: object({
+    enabled: boolean(),
+    days: array(integer({ minimum: 1 }), { description: 'Days after a link is created to send each reminder' }),
+    repeatEveryDays: integer({ minimum: 0, description: 'Repeat after the last reminder; 0 turns repeats off' })
+  })
+}), (req, res) => {
+  const user = users.find(u => u.id === req.user.userId);
+  if (!user) {
+    throw new ApiError(404, 'User not found');
+  }
 
-// POST /api/auth/request-code - Request verification code
-app.post('/api/auth/request-code', async (req, res) => {
-    try {
-        const { contact, name, isSignup } = req.body;
-        
-        if (!contact) {
-            return res.status(400).json({ error: 'Phone number or email is required' });
-        }
+  const settings = reminderSettings(user);
+  const { enabled, days, repeatEveryDays } = req.body;
 
-        const contactType = detectContactType(contact);
-        if (!contactType) {
-            return res.status(400).json({ error: 'Invalid phone number or email format' });
-        }
+  if (enabled !== undefined) {
+    settings.enabled = enabled;
+  }
 
-        // For signup, require name
-        if (isSignup && !name) {
-            return res.status(400).json({ error: 'Name is required for signup' });
-        }
+  if (days !== undefined) {
+    settings.days = [...new Set(days)].sort((a, b) => a - b);
+  }
 
-        // Normalize contact
-        const normalizedContact = contactType === 'phone' 
-            ? parsePhoneNumber(contact, 'US').format('E.164')
-            : contact.toLowerCase();
+  if (repeatEveryDays !== undefined) {
+    settings.repeatEveryDays = repeatEveryDays;
+  }
 
-        // Check if user exists
-        const existingUser = users.find(u => 
-            u.phone === normalizedContact || u.email === normalizedContact
-        );
+  user.reminderSettings = settings;
+  saveData();
 
-        if (isSignup && existingUser) {
-            return res.status(400).json({ error: 'Account already exists. Try logging in instead.' });
-        }
+  res.json({ success: true, settings });
+});
 
-        if (!isSignup && !existingUser) {
-            return res.status(404).json({ error: 'Account not found. Please sign up first.' });
-        }
+// Reminders queued for the caller's expenses, newest first
+app.get('/api/reminders', authenticateToken, validate({
+  summary: "Reminders queued for the caller's expenses"
+}), (req, res) => {
+  const own = new Set(expenses.filter(e => e.paidBy.id === req.user.userId).map(e => e.id));
+  const reminders = outbox
+    .filter(m => m.kind === 'reminder' && own.has(m.expenseId))
+    .map(({ html, ...message }) => message)
+    .reverse();
 
-        // Generate verification code
-        const code = generateVerificationCode();
-        const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
-
-        // Remove old codes for this contact
-        verificationCodes = verificationCodes.filter(vc => vc.contact !== normalizedContact);
-
-        // Store new code
-        verificationCodes.push({
-            contact: normalizedContact,
-            code,
-            expiresAt,
-            used: false,
-            name: isSignup ? name : (existingUser ? existingUser.name : null),
-            isSignup
-        });
+  res.json({ success: true, count: reminders.length, reminders });
+});
 
-        saveData();
+// The page behind "Stop these reminders" in a reminder. It only asks: mail
+// scanners and link previews open links in emails, so opting out takes the
+// page's POST.
+app.get('/payment/:id/opt-out', (req, res) => {
+  const link = paymentLinks.find(p => p.id === req.params.id);
+  res.set('Referrer-Policy', 'no-referrer');
 
-        // Send verification code
-        if (contactType === 'phone') {
-            if (!twilioClient) {
-                // Development mode - log code to console
-                console.log(`🔐 SMS CODE for ${normalizedContact}: ${code}`);
-                return res.json({ 
-                    success: true, 
-                    message: 'Verification code sent via SMS',
-                    contactType: 'phone',
-                    devMode: true,
-                    code: process.env.NODE_ENV === 'development' ? code : undefined
-                });
-            }
+  if (!link) {
+    return res.status(404).send(payPage.renderNoticePage('Link not found', 'This payment link does not exist. Check you have the whole link.'));
+  }
+  if (req.query.done === '1') {
+    return res.send(payPage.renderNoticePage('Reminders stopped', 'You will no longer receive payment reminders.'));
+  }
+  res.send(payPage.renderOptOutPage(link.id));
+});
 
-            await twilioClient.messages.create({
-                body: `Your SplitEase verification code is: ${code}`,
-                from: TWILIO_PHONE,
-                to: normalizedContact
-            });
-        } else {
-            if (!process.env.EMAIL_USER) {
-                // Development mode - log code to console
-                console.log(`🔐 EMAIL CODE for ${normalizedContact}: ${code}`);
-                return res.json({ 
-                    success: true, 
-                    message: 'Verification code sent via email',
-                    contactType: 'email',
-                    devMode: true,
-                    code: process.env.NODE_ENV === 'development' ? code : undefined
-                });
-            }
+// Participant opt-out - stops reminders to the link's email or phone for
+// every expense. The opt-out page's form posts here and is sent back to it.
+app.post('/api/payment-links/:id/opt-out', express.urlencoded({ extended: false }), validate({
+  summary: 'Stop reminders to a participant',
+  params: idParams
+}), (req, res) => {
+  const link = paymentLinks.find(p => p.id === req.params.id);
+  if (!link) {
+    throw new ApiError(404, 'Payment link not found');
+  }
 
-            await emailTransporter.sendMail({
-                from: process.env.EMAIL_USER,
-                to: normalizedContact,
-                subject: 'Your SplitEase Verification Code',
-                text: `Your verification code is: ${code}`,
-                html: `<p>Your SplitEase verification code is: <strong>${code}</strong></p>`
-            });
-        }
+  const contacts = [link.participantEmail && link.participantEmail.toLowerCase(), link.participantPhone].filter(Boolean);
+  contacts.forEach(contact => {
+    if (!isOptedOut(contact)) {
+      reminderOptOuts.push({ contact, paymentLinkId: link.id, createdAt: new Date() });
+    }
+  });
+  saveData();
 
-        res.json({ 
-            success: true, 
-            message: `Verification code sent via ${contactType}`,
-            contactType
-        });
+  if (req.is('application/x-www-form-urlencoded')) {
+    return res.redirect(303, `/payment/${encodeURIComponent(link.id)}/opt-out?done=1`);
+  }
 
-    } catch (error) {
-        console.error('Error sending verification code:', error);
-        res.status(500).json({ error: 'Failed to send verification code' });
-    }
+  res.json({ success: true, message: 'You will no longer receive payment reminders' });
 });
 
-// POST /api/auth/verify-code - Verify code and login/signup
-app.post('/api/auth/verify-code', (req, res) => {
-    try {
-        const { contact, code } = req.body;
+// Reminders sent before the opt-out page existed link here; send them to it
+app.get('/api/payment-links/:id/opt-out', validate({
+  summary: 'Redirect to the page for stopping reminders',
+  params: idParams
+}), (req, res) => {
+  res.redirect(302, `/payment/${encodeURIComponent(req.params.id)}/opt-out`);
+});
 
-        if (!contact || !code) {
-            return res.status(400).json({ error: 'Contact and code are required' });
-        }
+// ============= IMPORT / EXPORT ROUTES =============
 
-        const contactType = detectContactType(contact);
-        const normalizedContact = contactType === 'phone' 
-            ? parsePhoneNumber(contact, 'US').format('E.164')
-            : contact.toLowerCase();
-
-        // Find verification code
-        const verificationIndex = verificationCodes.findIndex(vc => 
-            vc.contact === normalizedContact && 
-            vc.code === code && 
-            !vc.used && 
-            new Date() < vc.expiresAt
-        );
-
-        if (verificationIndex === -1) {
-            return res.status(400).json({ error: 'Invalid or expired verification code' });
-        }
+const EXPORT_FORMATS = ['csv', 'json'];
+const IMPORT_FORMATS = ['splitease-csv', 'splitease-json', 'splitwise-csv'];
 
-        const verification = verificationCodes[verificationIndex];
-        
-        // Mark code as used
-        verificationCodes[verificationIndex].used = true;
-
-        let user;
-
-        if (verification.isSignup) {
-            // Create new user
-            user = {
-                id: Date.now().toString(),
-                name: verification.name,
-                [contactType]: normalizedContact,
-                verified: true,
-                createdAt: new Date()
-            };
-            users.push(user);
-        } else {
-            // Find existing user
-            user = users.find(u => u.phone === normalizedContact || u.email === normalizedContact);
-            if (!user) {
-                return res.status(404).json({ error: 'User not found' });
-            }
-        }
+// A participant's share as exported: what is settled so far and the status
+function exportedShare(participant) {
+  const link = paymentLinks.find(l => l.id === participant.paymentLink);
+  const remaining = participantOutstanding(participant);
+  return {
+    name: participant.name,
+    email: participant.email || null,
+    phone: participant.phone || null,
+    amount: participant.amount,
+    amountPaid: participant.amount - remaining,
+    status: link ? linkSettlement(link).status : participant.status
+  };
+}
 
-        saveData();
+function exportedExpense(expense) {
+  const group = expense.groupId && groups.find(g => g.id === expense.groupId);
+  return {
+    id: expense.id,
+    date: expenseDay(expense),
+    description: expense.description,
+    currency: expense.currency,
+    amount: expense.amount,
+    splitType: expense.splitType,
+    groupId: expense.groupId,
+    group: group ? group.name : null,
+    category: expense.category || null,
+    tags: expense.tags || [],
+    notes: expense.notes || null,
+    paidBy: { id: expense.paidBy.id, name: expense.paidBy.name, email: expense.paidBy.email || null },
+    payerAmount: expense.payerAmount,
+    payers: expense.payers.map(p => ({ participant: p.participant, name: expensePerson(expense, p.participant).name, amount: p.amount })),
+    participants: expense.participants.map(exportedShare),
+    createdAt: expense.createdAt
+  };
+}
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { userId: user.id, name: user.name },
-            JWT_SECRET,
-            { expiresIn: '30d' }
-        );
+function* exportCsvChunks(list) {
+  yield formatCsvRow(formats.SPLITEASE_CSV_COLUMNS);
+  for (const expense of list) {
+    const e = exportedExpense(expense);
+    const decimals = currencyDecimals(e.currency);
+    const contribution = ref => e.payers.filter(p => p.participant === ref).reduce((sum, p) => sum + p.amount, 0);
+    for (const [index, p] of e.participants.entries()) {
+      yield formatCsvRow([
+        e.id, e.date, e.description, e.currency, formats.fromMinorUnits(e.amount, decimals), e.splitType, e.group,
+        e.category, e.tags.join(';'), e.notes,
+        e.paidBy.name, e.paidBy.email, formats.fromMinorUnits(e.payerAmount, decimals), formats.fromMinorUnits(contribution('me'), decimals),
+        p.name, p.email, p.phone,
+        formats.fromMinorUnits(p.amount, decimals), formats.fromMinorUnits(p.amountPaid, decimals), p.status,
+        formats.fromMinorUnits(contribution(index), decimals)
+      ]);
+    }
+  }
+}
 
-        res.json({
-            success: true,
-            message: verification.isSignup ? 'Account created successfully' : 'Logged in successfully',
-            token,
-            user: {
-                id: user.id,
-                name: user.name,
-                phone: user.phone || null,
-                email: user.email || null
-            }
-        });
+function* exportJsonChunks(list) {
+  yield `{"exportedAt":${JSON.stringify(new Date())},"expenses":[`;
+  for (let i = 0; i < list.length; i++) {
+    yield (i > 0 ? ',' : '') + JSON.stringify(exportedExpense(list[i]));
+  }
+  yield ']}';
+}
 
-    } catch (error) {
-        console.error('Error verifying code:', error);
-        res.status(500).json({ error: 'Failed to verify code' });
+// Write chunks as the socket accepts them; stops early if the client goes away
+async function streamChunks(res, chunks) {
+  for (const chunk of chunks) {
+    if (res.destroyed) {
+      return;
     }
-});
-
-// GET /api/auth/me - Get current user info
-app.get('/api/auth/me', authenticateToken, (req, res) => {
-    const user = users.find(u => u.id === req.user.userId);
-    if (!user) {
-        return res.status(404).json({ error: 'User not found' });
+    if (!res.write(chunk)) {
+      await Promise.race([once(res, 'drain'), once(res, 'close')]);
     }
+  }
+  res.end();
+}
 
-    res.json({
-        id: user.id,
-        name: user.name,
-        phone: user.phone || null,
-        email: user.email || null
-    });
+// Export the caller's expenses - everything they can see, or one group with
+// ?groupId= - as ?format=csv (default) or json. ?from= and ?to= (YYYY-MM-DD,
+// inclusive) filter on the expense date. Amounts are in major units in CSV and
+// minor units in JSON; payment link tokens are never included.
+app.get('/api/export', authenticateToken, validate({
+  summary: "Export the caller's expenses as CSV or JSON",
+  query: object({
+    format: string({ enum: EXPORT_FORMATS }),
+    groupId: schema.id,
+    ...dateRangeQuery
+  })
+}), async (req, res) => {
+  const userId = req.user.userId;
+  const { format = 'csv', groupId } = req.query;
+  
+  const range = parseDateRange(req.query);
+  if (range.error) {
+    throw new ApiError(400, range.error, { code: 'VALIDATION_FAILED' });
+  }
+  
+  if (groupId) {
+    const group = groups.find(g => g.id === groupId);
+    if (!group || !isGroupMember(group, userId)) {
+      throw new ApiError(404, 'Group not found');
+    }
+  }
+  
+  const list = expenses
+    .filter(expense => canViewExpense(expense, userId) && (!groupId || expense.groupId === groupId))
+    .filter(expense => inDateRange(expense, range))
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  
+  const filename = `splitease-export-${formatDateOnly(new Date())}.${format}`;
+  res.set('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  
+  try {
+    await streamChunks(res, format === 'csv' ? exportCsvChunks(list) : exportJsonChunks(list));
+  } catch (error) {
+    console.error('Error exporting expenses:', error);
+    res.destroy(error);
+  }
 });
 
-// ============= UPDATED: EXPENSE ROUTES (Now with Authentication) =============
+// Read an import file into records, or throw with a message for the caller
+function readImportFile(format, content, { me }) {
+  if (format === 'splitease-json') {
+    return formats.readSpliteaseJson(typeof content === 'string' ? JSON.parse(content) : content);
+  }
+  if (typeof content !== 'string') {
+    throw new Error('content must be the CSV file as text');
+  }
+  if (format === 'splitwise-csv') {
+    return formats.readSplitwiseCsv(content, { me, currencyDecimals });
+  }
+  return formats.readSpliteaseCsv(content, { currencyDecimals });
+}
 
-// Create a new expense (NOW REQUIRES AUTHENTICATION)
-app.post('/api/expenses', authenticateToken, (req, res) => {
+// Import expenses logged by the caller from our own CSV or JSON export or a
+// Splitwise CSV export, keeping who paid them. Body: { format, content, dryRun, groupId, me, people }.
+// `me` is the caller's name in the file (defaults to their account name);
+// `people` maps names in the file to { email, phone } so participants can be
+// linked to accounts - in a group, members are matched by name as well.
+// Rows are checked one by one: valid ones are imported, the rest are reported
+// in `errors`; with dryRun nothing is saved. Expenses already imported from
+// the same source are skipped. Categories the caller doesn't have yet are
+// added to their own.
+app.post('/api/import', authenticateToken, validate({
+  summary: 'Import expenses from a SplitEase or Splitwise export',
+  body: object({
+    format: string({ enum: IMPORT_FORMATS }),
+    content: anyOf([string({ minLength: 1 }), object({})], { description: 'the file as text, or the parsed document for splitease-json' }),
+    dryRun: anyOf([boolean(), string({ enum: ['true', 'false'] })]),
+    groupId: nullable(schema.id),
+    me: string({ maxLength: 100, description: "The caller's name in the file" }),
+    people: object({}, { description: 'Names in the file mapped to { email, phone }' })
+  }, { required: ['format', 'content'] })
+}), (req, res) => {
+  const user = users.find(u => u.id === req.user.userId);
+  const { format, content, groupId } = req.body;
+  const people = req.body.people || {};
+  const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+  const me = req.body.me || (user && user.name);
+  
+  if (!user) {
+    throw new ApiError(404, 'User not found');
+  }
+  
+  let file;
   try {
-    const { description, amount, participants, splitType } = req.body;
-    const userId = req.user.userId;
-    const userName = req.user.name;
+    file = readImportFile(format, content, { me });
+  } catch (error) {
+    throw new ApiError(400, `Could not read the file: ${error.message}`, { code: 'INVALID_IMPORT_FILE' });
+  }
+  
+  if (file.records.length > IMPORT_MAX_RECORDS) {
+    throw new ApiError(400, `Files can hold at most ${IMPORT_MAX_RECORDS} expenses`, { code: 'IMPORT_TOO_LARGE' });
+  }
+  
+  const group = groupId ? groups.find(g => g.id === groupId) : null;
+  const contactFor = name => {
+    const key = String(name || '').trim().toLowerCase();
+    const mapped = Object.keys(people).find(n => n.trim().toLowerCase() === key);
+    if (mapped) {
+      const person = people[mapped] || {};
+      return { email: person.email || null, phone: person.phone || null };
+    }
+    const member = group && isGroupMember(group, user.id) && group.members.find(m => m.name.toLowerCase() === key);
+    return member ? { email: member.email, phone: member.phone } : {};
+  };
+  
+  const isMine = paidBy => paidBy.email
+    ? paidBy.email.toLowerCase() === user.email
+    : String(paidBy.name || '').trim().toLowerCase() === String(me || '').trim().toLowerCase();
+  
+  const alreadyImported = new Set(expenses
+    .filter(e => e.paidBy.id === user.id && e.importSource && e.importSource.format === format)
+    .map(e => e.importSource.externalId));
+  
+  const errors = [...file.errors];
+  const skipped = [...file.skipped];
+  const imported = [];
+  
+  file.records.forEach(record => {
+    const { line } = record;
     
-    // Get full user info
-    const user = users.find(u => u.id === userId);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    if (format !== 'splitwise-csv' && !isMine(record.paidBy)) {
+      skipped.push({ line, reason: 'paid-by-someone-else' });
+      return;
+    }
+    if (record.externalId && alreadyImported.has(record.externalId)) {
+      skipped.push({ line, reason: 'duplicate' });
+      return;
+    }
+    if (!record.date || isNaN(new Date(record.date))) {
+      errors.push({ line, error: 'A valid date is required' });
+      return;
+    }
+    const badShare = record.participants.find(p =>
+      !p.name || !Number.isInteger(p.amountPaid) || p.amountPaid < 0 || p.amountPaid > p.amount
+    );
+    if (badShare) {
+      errors.push({ line: badShare.line || line, error: 'Every participant needs a name, and can\'t have paid more than their share' });
+      return;
     }
     
-    // Basic validation
-    if (!description || !amount || !participants || participants.length === 0) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Missing required fields' 
-      });
+    const participants = record.participants.map(p => {
+      const contact = contactFor(p.name);
+      return {
+        name: p.name,
+        email: p.email || contact.email || null,
+        phone: p.phone || contact.phone || null,
+        amount: p.amount
+      };
+    });
+    
+    // A category from someone else's export may be new to the caller; it is
+    // checked without it and created once the row is known to be valid
+    const category = record.category ? normalizeCategory(record.category) : null;
+    const newCategory = category !== null && category.length <= MAX_CATEGORY_LENGTH && !userCategories(user).includes(category);
+    
+    const validation = validateExpenseInput(user, {
+      description: record.description,
+      amount: record.amount,
+      currency: record.currency,
+      participants,
+      splitType: 'amount',
+      payerShare: record.payerAmount,
+      payers: record.payers || undefined,
+      groupId,
+      expenseDate: formatDateOnly(new Date(record.date)),
+      category: newCategory ? undefined : category || undefined,
+      tags: record.tags,
+      notes: record.notes
+    });
+    if (validation.error) {
+      errors.push({ line, error: validation.error });
+      return;
+    }
+    if (newCategory) {
+      validation.value.details.category = category;
+      if (!dryRun) {
+        user.categories = [...(user.categories || []), category];
+      }
     }
     
-    // Calculate amounts - including the payer in the split
-    const totalPeople = participants.length + 1; // +1 for the person who paid
-    const amountPerPerson = amount / totalPeople;
+    if (record.externalId) {
+      alreadyImported.add(record.externalId);
+    }
     
-    // Create the expense
-    const expense = {
-      id: Date.now().toString(),
-      description: description,
-      amount: parseFloat(amount),
-      participants: participants.map(participant => {
-        const paymentLinkId = Math.random().toString(36).substr(2, 15);
-        
-        // Create payment link
-        const paymentLink = {
-          id: paymentLinkId,
-          expenseId: Date.now().toString(),
-          participantName: participant.name,
-          participantEmail: participant.email,
-          amount: amountPerPerson,
-          description: description,
-          paidBy: {
-            name: userName,
-            phone: user.phone,
-            email: user.email
-          },
-          used: false,
-          createdAt: new Date()
-        };
-        
-        paymentLinks.push(paymentLink);
-        
-        return {
-          name: participant.name,
-          email: participant.email,
-          amount: amountPerPerson,
-          paymentLink: paymentLinkId,
-          paid: false
-        };
-      }),
-      paidBy: {
-        id: userId,
-        name: userName,
-        phone: user.phone,
-        email: user.email
-      },
-      splitType: splitType || 'equal',
-      createdAt: new Date(),
-      totalPeople: totalPeople
+    const summary = {
+      line,
+      description: record.description,
+      date: formatDateOnly(new Date(record.date)),
+      currency: validation.value.currency,
+      amount: record.amount,
+      participants: participants.map(p => p.name)
     };
     
-    expenses.push(expense);
-    saveData();
-    
-    res.status(201).json({ 
-      success: true, 
-      expense: expense,
-      message: 'Expense created successfully!'
-    });
+    if (!dryRun) {
+      const expense = createExpense(user, validation.value, {
+        importSource: { format, externalId: record.externalId, importedAt: new Date() }
+      });
+      expense.participants.forEach((participant, index) => {
+        const amountPaid = record.participants[index].amountPaid;
+        const link = paymentLinks.find(l => l.id === participant.paymentLink);
+        if (amountPaid > 0 && link) {
+          recordLinkPayment(link, { type: 'cash', amount: amountPaid, note: 'Imported', recordedBy: user.id });
+        }
+      });
+      summary.expenseId = expense.id;
+    }
     
-  } catch (error) {
-    console.error('Error creating expense:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to create expense' 
-    });
+    imported.push(summary);
+  });
+  
+  if (!dryRun && imported.length > 0) {
+    saveData();
   }
-});
-
-// Get expenses (NOW SHOWS ONLY USER'S EXPENSES)
-app.get('/api/expenses', authenticateToken, (req, res) => {
-  const userId = req.user.userId;
-  const userExpenses = expenses.filter(expense => expense.paidBy.id === userId);
   
-  res.json({
+  errors.sort((a, b) => a.line - b.line);
+  skipped.sort((a, b) => a.line - b.line);
+  
+  res.status(!dryRun && imported.length > 0 ? 201 : 200).json({
     success: true,
-    count: userExpenses.length,
-    expenses: userExpenses
+    dryRun,
+    format,
+    imported: imported.length,
+    expenses: imported,
+    skipped,
+    errors
   });
 });
 
-// Get a single expense by ID (PROTECTED)
-app.get('/api/expenses/:id', authenticateToken, (req, res) => {
-  const userId = req.user.userId;
-  const expense = expenses.find(e => e.id === req.params.id && e.paidBy.id === userId);
-  
-  if (!expense) {
-    return res.status(404).json({ 
-      success: false, 
-      error: 'Expense not found' 
-    });
+// ============= EXCHANGE RATE ROUTES =============
+
+// Current exchange-rate table
+app.get('/api/exchange-rates', validate({
+  summary: 'Current exchange-rate table'
+}), (req, res) => {
+  res.json({ success: true, ...exchangeRates });
+});
+
+// Replace the exchange-rate table (admin only). Existing expenses keep the rates they were created with.
+// Saved as overrides; the shipped defaults file is left as it is.
+app.put('/api/admin/exchange-rates', requireAdmin, validate({
+  summary: 'Replace the exchange-rate table (admin only)',
+  body: object({
+    base: schema.currencyCode,
+    rates: object({}, { description: 'Currency codes mapped to units per one of base' })
+  }, { required: ['base', 'rates'] })
+}), (req, res) => {
+  const { base, rates } = req.body;
+  const code = base.toUpperCase();
+
+  const normalized = {};
+  for (const [currency, rate] of Object.entries(rates)) {
+    if (!/^[A-Z]{3}$/i.test(currency) || typeof rate !== 'number' || !(rate > 0)) {
+      throw new ApiError(400, `Invalid rate for ${currency}`, { code: 'VALIDATION_FAILED' });
+    }
+    normalized[currency.toUpperCase()] = rate;
   }
-  
-  res.json({
-    success: true,
-    expense: expense
-  });
+  normalized[code] = 1;
+
+  exchangeRates = { base: code, rates: normalized, updatedAt: new Date() };
+  saveExchangeRates();
+
+  res.json({ success: true, ...exchangeRates });
 });
 
-// ============= EXISTING: PAYMENT LINK ROUTES (Unchanged) =============
+// ============= UPDATED: STATS ROUTE (Now with Authentication) =============
 
-// Get payment link details (what non-app users see)
-app.get('/api/payment-links/:id', (req, res) => {
-  const paymentLink = paymentLinks.find(p => p.id === req.params.id);
-  
-  if (!paymentLink) {
-    return res.status(404).json({ 
-      success: false, 
-      error: 'Payment link not found or expired' 
-    });
+const STATS_INTERVALS = ['week', 'month'];
+const MAX_STATS_PERIODS = 1000;
+
+// First day of the week (Monday) or month containing `day` (YYYY-MM-DD)
+function periodStart(day, interval) {
+  if (interval === 'month') {
+    return `${day.slice(0, 7)}-01`;
   }
-  
-  if (paymentLink.used) {
-    return res.status(410).json({ 
-      success: false, 
-      error: 'This payment link has already been used' 
-    });
+  return addDays(day, -((parseDateOnly(day).getUTCDay() + 6) % 7));
+}
+
+function nextPeriodStart(start, interval) {
+  if (interval === 'week') {
+    return addDays(start, 7);
   }
-  
-  res.json({
-    success: true,
-    paymentDetails: {
-      amount: paymentLink.amount,
-      description: paymentLink.description,
-      paidBy: paymentLink.paidBy,
-      participantName: paymentLink.participantName
-    }
-  });
-});
+  const date = parseDateOnly(start);
+  return formatDateOnly(new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)));
+}
 
-// Process a payment
-app.post('/api/payment-links/:id/pay', (req, res) => {
-  const { paymentMethod } = req.body;
-  const paymentLink = paymentLinks.find(p => p.id === req.params.id);
+// Days from a link being issued until the payment that settled it, or null
+// when it isn't settled or was settled by forgiving the debt
+function daysToPay(link) {
+  const payments = settledPayments(link).filter(p => p.type !== 'forgiven');
+  if (linkSettlement(link).status !== 'paid' || payments.length === 0) {
+    return null;
+  }
+  const settledAt = new Date(payments[payments.length - 1].createdAt);
+  return Math.max(settledAt - new Date(link.createdAt), 0) / DAY_MS;
+}
+
+// Where `userId` appears on an expense, as payers refer to people: 'me' when
+// they logged it, their participant index, or null
+function personRef(expense, userId) {
+  if (expense.paidBy.id === userId) {
+    return 'me';
+  }
+  const index = expense.participants.findIndex(p => p.userId === userId);
+  return index >= 0 ? index : null;
+}
+
+// Get statistics for expenses the caller paid for, alone or with others
+// (PROTECTED). ?from= and ?to= (YYYY-MM-DD) and ?groupId= narrow the expenses;
+// ?interval=week|month sets the time series buckets. What others owe counts
+// only the part owed to the caller. Money is in minor units of the caller's
+// home currency.
+app.get('/api/stats', authenticateToken, validate({
+  summary: 'Statistics for expenses the caller paid for',
+  query: object({
+    groupId: schema.id,
+    interval: string({ enum: STATS_INTERVALS }),
+    ...dateRangeQuery
+  })
+}), (req, res) => {
+  const userId = req.user.userId;
+  const user = users.find(u => u.id === userId);
+  const currency = (user && user.homeCurrency) || DEFAULT_CURRENCY;
+  const { groupId, interval = 'month' } = req.query;
   
-  if (!paymentLink) {
-    return res.status(404).json({ 
-      success: false, 
-      error: 'Payment link not found' 
-    });
+  const range = parseDateRange(req.query);
+  if (range.error) {
+    throw new ApiError(400, range.error, { code: 'VALIDATION_FAILED' });
   }
   
-  if (paymentLink.used) {
-    return res.status(400).json({ 
-      success: false, 
-      error: 'Payment already processed' 
-    });
+  if (groupId) {
+    const group = groups.find(g => g.id === groupId);
+    if (!group || !isGroupMember(group, userId)) {
+      throw new ApiError(404, 'Group not found');
+    }
   }
   
-  // Mark payment link as used
-  paymentLink.used = true;
-  paymentLink.paidAt = new Date().toISOString();
-  paymentLink.paymentMethod = paymentMethod;
+  const userExpenses = expenses.filter(e =>
+    e.payers.some(p => p.participant === personRef(e, userId)) && (!groupId || e.groupId === groupId) && inDateRange(e, range)
+  );
+  
+  const days = userExpenses.map(expenseDay).sort();
+  const firstDay = range.from || days[0];
+  const lastDay = range.to || days[days.length - 1];
   
-  // Update the expense to mark participant as paid
-  const expense = expenses.find(e => e.id === paymentLink.expenseId);
-  if (expense) {
-    const participant = expense.participants.find(p => p.paymentLink === paymentLink.id);
-    if (participant) {
-      participant.paid = true;
-      participant.paidAt = paymentLink.paidAt;
-      participant.paymentMethod = paymentMethod;
+  const series = new Map();
+  if (firstDay) {
+    let start = periodStart(firstDay, interval);
+    while (start <= lastDay && series.size <= MAX_STATS_PERIODS) {
+      series.set(start, { period: interval === 'month' ? start.slice(0, 7) : start, count: 0, amount: 0, collected: 0 });
+      start = nextPeriodStart(start, interval);
     }
   }
+  if (series.size > MAX_STATS_PERIODS) {
+    throw new ApiError(400, `Date range too long - at most ${MAX_STATS_PERIODS} ${interval}s`, { code: 'RANGE_TOO_LONG' });
+  }
   
-  saveData();
+  const totals = { totalAmount: 0, yourPayments: 0, yourShare: 0, owedToYou: 0, collected: 0, forgiven: 0, outstanding: 0, linksPaid: 0, linksPending: 0 };
+  const categories = new Map();
+  const people = new Map();
+  const payDays = [];
   
-  res.json({
-    success: true,
-    message: 'Payment processed successfully!',
-    payment: {
-      amount: paymentLink.amount,
-      method: paymentMethod,
-      paidAt: paymentLink.paidAt
+  userExpenses.forEach(expense => {
+    const toHome = amount => convertExpenseAmount(expense, amount, currency);
+    const amount = toHome(expense.amount);
+    const bucket = series.get(periodStart(expenseDay(expense), interval));
+    const category = expense.category || 'uncategorized';
+    const ref = personRef(expense, userId);
+    
+    totals.totalAmount += amount;
+    totals.yourPayments += toHome(expense.payers.find(p => p.participant === ref).amount);
+    totals.yourShare += toHome(ref === 'me' ? expense.payerAmount : expense.participants[ref].amount);
+    bucket.count += 1;
+    bucket.amount += amount;
+    
+    if (!categories.has(category)) {
+      categories.set(category, { category, count: 0, amount: 0 });
     }
+    categories.get(category).count += 1;
+    categories.get(category).amount += amount;
+    
+    linkHolders(expense).forEach(debtor => {
+      const link = paymentLinks.find(l => l.id === debtor.paymentLink);
+      const settlement = linkPayees(link).find(p => p.participant === ref);
+      if (!settlement) {
+        return;
+      }
+      const share = toHome(settlement.amount);
+      const paid = toHome(settlement.amountPaid);
+      const forgiven = toHome(settlement.amountForgiven);
+      const outstanding = toHome(settlement.remaining);
+      
+      totals.owedToYou += share;
+      totals.collected += paid;
+      totals.forgiven += forgiven;
+      totals.outstanding += outstanding;
+      totals[settlement.remaining === 0 ? 'linksPaid' : 'linksPending'] += 1;
+      bucket.collected += paid;
+      
+      const { key, userId: personUserId, name } = personKey(debtor);
+      if (!people.has(key)) {
+        people.set(key, { key, userId: personUserId, name, expenses: 0, owed: 0, paid: 0, forgiven: 0, outstanding: 0 });
+      }
+      const person = people.get(key);
+      person.expenses += 1;
+      person.owed += share;
+      person.paid += paid;
+      person.forgiven += forgiven;
+      person.outstanding += outstanding;
+      
+      const taken = daysToPay(link);
+      if (taken !== null) {
+        payDays.push(taken);
+      }
+    });
   });
-});
-
-// ============= UPDATED: STATS ROUTE (Now with Authentication) =============
-
-// Get statistics (PROTECTED)
-app.get('/api/stats', authenticateToken, (req, res) => {
-  const userId = req.user.userId;
-  const userExpenses = expenses.filter(e => e.paidBy.id === userId);
-  const userPaymentLinks = paymentLinks.filter(p => 
-    userExpenses.some(e => e.id === p.expenseId)
-  );
   
-  const totalExpenses = userExpenses.length;
-  const totalAmount = userExpenses.reduce((sum, exp) => sum + exp.amount, 0);
-  const totalPaid = userPaymentLinks.filter(p => p.used).length;
-  const totalPending = userPaymentLinks.filter(p => !p.used).length;
+  const averageDaysToPay = payDays.length > 0
+    ? Math.round(payDays.reduce((a, b) => a + b, 0) / payDays.length * 10) / 10
+    : null;
   
   res.json({
     success: true,
     stats: {
-      totalExpenses,
-      totalAmount,
-      totalPaid,
-      totalPending
+      currency,
+      from: range.from,
+      to: range.to,
+      groupId: groupId || null,
+      interval,
+      totalExpenses: userExpenses.length,
+      ...totals,
+      // Money, not link counts (see linksPaid and linksPending)
+      totalPaid: totals.collected,
+      totalPending: totals.outstanding,
+      averageDaysToPay,
+      timeSeries: Array.from(series.values()),
+      categories: Array.from(categories.values()).sort((a, b) => b.amount - a.amount),
+      people: Array.from(people.values()).sort((a, b) => b.outstanding - a.outstanding || b.owed - a.owed)
     }
   });
 });
@@ -652,18 +5450,50 @@ app.get('/test-auth', (req, res) => {
     `);
 });
 
-// ============= ERROR HANDLING =============
+// ============= API DOCUMENTATION =============
 
-// Handle 404 for undefined routes
-app.use((req, res) => {
-  res.status(404).json({ 
-    success: false, 
-    error: 'Route not found' 
-  });
+// Built on first request, once every route is registered
+let openApiDocument = null;
+
+// OpenAPI document generated from the routes' validation schemas
+app.get('/api/openapi.json', validate({
+  summary: 'This OpenAPI document'
+}), (req, res) => {
+  if (!openApiDocument) {
+    openApiDocument = buildOpenApiDocument(app, {
+      info: {
+        title: 'SplitEase API',
+        version: require('./package.json').version,
+        description: 'Money amounts are integers in minor units of their currency (cents). Errors share one shape: { success: false, error, code }.'
+      },
+      servers: [{ url: APP_URL }],
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', middleware: authenticateToken },
+        adminKey: { type: 'apiKey', in: 'header', name: 'x-admin-key', middleware: requireAdmin }
+      }
+    });
+  }
+  res.json(openApiDocument);
 });
 
+// ============= ERROR HANDLING =============
+
+// Handle 404 for undefined routes, then turn every error into the same JSON body
+app.use(notFoundHandler);
+app.use(errorHandler);
+
 // ============= START SERVER =============
 
+// Run a scheduled job, logging a failure instead of letting it escape the
+// timer as an uncaught exception or unhandled rejection
+function runScheduledJob(name, job) {
+  try {
+    Promise.resolve(job()).catch(error => console.error(`❌ Scheduled ${name} failed:`, error));
+  } catch (error) {
+    console.error(`❌ Scheduled ${name} failed:`, error);
+  }
+}
+
 app.listen(PORT, () => {
   console.log('🚀 SplitEase server is running!');
   console.log(`📍 Local: http://localhost:${PORT}`);
@@ -672,12 +5502,70 @@ app.listen(PORT, () => {
   console.log('   POST http://localhost:' + PORT + '/api/auth/request-code');
   console.log('   POST http://localhost:' + PORT + '/api/auth/verify-code');
   console.log('   GET  http://localhost:' + PORT + '/api/auth/me');
+  console.log('   POST http://localhost:' + PORT + '/api/auth/refresh');
+  console.log('   POST http://localhost:' + PORT + '/api/auth/logout');
+  console.log('   GET  http://localhost:' + PORT + '/api/auth/sessions');
+  console.log('   PATCH  http://localhost:' + PORT + '/api/auth/me');
+  console.log('   DELETE http://localhost:' + PORT + '/api/auth/me');
+  console.log('   POST http://localhost:' + PORT + '/api/auth/me/contacts');
+  console.log('   POST http://localhost:' + PORT + '/api/auth/me/contacts/verify');
+  console.log('   GET  http://localhost:' + PORT + '/api/auth/me/export');
+  console.log('   GET  http://localhost:' + PORT + '/api/events (live updates, Server-Sent Events)');
   console.log('\n💰 Existing endpoints (now protected):');
   console.log('   GET  http://localhost:' + PORT + '/api/expenses');
   console.log('   POST http://localhost:' + PORT + '/api/expenses');
+  console.log('   PATCH  http://localhost:' + PORT + '/api/expenses/:id');
+  console.log('   DELETE http://localhost:' + PORT + '/api/expenses/:id');
   console.log('   GET  http://localhost:' + PORT + '/api/stats');
+  console.log('   GET  http://localhost:' + PORT + '/api/recurring-expenses');
+  console.log('   POST http://localhost:' + PORT + '/api/recurring-expenses');
+  console.log('   GET  http://localhost:' + PORT + '/api/reminders');
+  console.log('   GET  http://localhost:' + PORT + '/api/expenses/owed');
+  console.log('   GET  http://localhost:' + PORT + '/api/categories');
+  console.log('   POST http://localhost:' + PORT + '/api/expenses/:id/receipts');
+  console.log('   GET  http://localhost:' + PORT + '/api/expenses/:id/comments');
+  console.log('   POST http://localhost:' + PORT + '/api/expenses/:id/comments');
+  console.log('   GET  http://localhost:' + PORT + '/api/activity');
+  console.log('   POST http://localhost:' + PORT + '/api/activity/read');
+  console.log('   POST http://localhost:' + PORT + '/api/expenses/:id/invitations');
+  console.log('   GET  http://localhost:' + PORT + '/api/invitations');
+  console.log('   GET  http://localhost:' + PORT + '/api/export');
+  console.log('   POST http://localhost:' + PORT + '/api/import');
+  console.log('\n👥 Groups:');
+  console.log('   GET  http://localhost:' + PORT + '/api/groups');
+  console.log('   POST http://localhost:' + PORT + '/api/groups');
+  console.log('   GET  http://localhost:' + PORT + '/api/groups/:id/expenses');
+  console.log('   GET  http://localhost:' + PORT + '/api/balances');
+  console.log('   GET  http://localhost:' + PORT + '/api/exchange-rates');
   console.log('\n🔗 Public payment links (no auth required):');
+  console.log('   GET  http://localhost:' + PORT + '/payment/:id (pay page)');
   console.log('   GET  http://localhost:' + PORT + '/api/payment-links/:id');
-  console.log('   POST http://localhost:' + PORT + '/api/payment-links/:id/pay');
+  console.log('   POST http://localhost:' + PORT + '/api/payment-links/:id/sent (paid outside the app)');
+  console.log('   POST http://localhost:' + PORT + '/api/payment-links/:id/pay (starts a checkout)');
+  console.log('   POST http://localhost:' + PORT + '/api/payment-links/:id/settlements (auth)');
+  console.log('   POST http://localhost:' + PORT + '/api/payment-links/:id/revoke (auth)');
+  console.log('   POST http://localhost:' + PORT + '/api/payment-links/:id/regenerate (auth)');
+  console.log('   GET  http://localhost:' + PORT + '/api/checkouts/:id');
+  console.log('   POST http://localhost:' + PORT + '/api/checkouts/:id/refund (auth)');
+  console.log('   POST http://localhost:' + PORT + '/api/webhooks/payments/' + paymentProvider.name);
+  console.log('\n📖 API reference:');
+  console.log('   GET  http://localhost:' + PORT + '/api/openapi.json');
   console.log('\nPress Ctrl+C to stop the server');
+
+  // Catch up on anything that fell due while the server was down, then keep checking
+  runScheduledJob('recurring expenses', () => runRecurringExpenses());
+  runScheduledJob('reminders', () => scheduleReminders());
+  runScheduledJob('outbox delivery', () => processOutbox());
+  setInterval(() => {
+    runScheduledJob('recurring expenses', () => runRecurringExpenses());
+    runScheduledJob('reminders', () => scheduleReminders());
+  }, RECURRING_CHECK_INTERVAL_MS);
+  setInterval(() => runScheduledJob('outbox delivery', () => processOutbox()), OUTBOX_INTERVAL_MS);
+  setInterval(() => checkEventStreams(), EVENT_HEARTBEAT_MS);
+  setInterval(() => {
+    pruneVerificationState();
+    pruneSessions();
+    markSentByLink.prune();
+    markSentByIp.prune();
+  }, 60 * 60 * 1000);
 });
\ No newline at end of file
@@ -0,0 +1,38 @@
+// storage/import-json.js - One-time import of a data.json file into SQLite
+//
+// Usage: node storage/import-json.js [data.json] [data.sqlite] [--force]
+//
+// Records are copied as they are, with their data version; the server runs
+// any pending data migrations the next time it starts. Refuses to import into
+// a database that already has data unless --force is given.
+
+const path = require('path');
+const { COLLECTIONS } = require('./index');
+const { createJsonStore } = require('./json-store');
+const { createSqliteStore } = require('./sqlite-store');
+
+const args = process.argv.slice(2).filter(arg => arg !== '--force');
+const force = process.argv.includes('--force');
+const jsonFile = path.resolve(args[0] || path.join(__dirname, '..', 'data.json'));
+const sqliteFile = path.resolve(args[1] || process.env.SQLITE_FILE || path.join(__dirname, '..', 'data.sqlite'));
+
+const source = createJsonStore(jsonFile, COLLECTIONS).load();
+if (!source) {
+  console.error(`❌ ${jsonFile} does not exist`);
+  process.exit(1);
+}
+
+const target = createSqliteStore(sqliteFile, COLLECTIONS);
+if (target.load() && !force) {
+  console.error(`❌ ${sqliteFile} already has data - pass --force to replace it`);
+  target.close();
+  process.exit(1);
+}
+
+target.save(source);
+target.close();
+
+console.log(`📦 Imported ${jsonFile} into ${sqliteFile} (data version ${source.version})`);
+Object.keys(COLLECTIONS).forEach(name => {
+  console.log(`   ${name}: ${source[name].length}`);
+});
@@ -0,0 +1,39 @@
+// storage/index.js - Persistence for SplitEase's in-memory collections
+//
+// server.js keeps every collection in memory and calls save() after each
+// change. A store only has to load everything at startup and persist the
+// current state on save; it never sees individual queries.
+
+const { createJsonStore } = require('./json-store');
+const { createSqliteStore } = require('./sqlite-store');
+
+// Collections persisted by every store, with the field that identifies a record
+const COLLECTIONS = {
+  expenses: 'id',
+  paymentLinks: 'id',
+  users: 'id',
+  verificationCodes: 'contact',
+  groups: 'id',
+  expenseRevisions: 'id',
+  recurringExpenses: 'id',
+  outbox: 'id',
+  reminderOptOuts: 'contact',
+  sessions: 'id',
+  invitations: 'id',
+  checkouts: 'id',
+  comments: 'id',
+  activities: 'id'
+};
+
+// Pick a store from configuration: driver is 'json' (default) or 'sqlite'
+function createStore({ driver = 'json', jsonFile, sqliteFile }) {
+  if (driver === 'sqlite') {
+    return createSqliteStore(sqliteFile, COLLECTIONS);
+  }
+  if (driver === 'json') {
+    return createJsonStore(jsonFile, COLLECTIONS);
+  }
+  throw new Error(`Unknown storage driver: ${driver}`);
+}
+
+module.exports = { COLLECTIONS, createStore };
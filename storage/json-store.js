@@ -0,0 +1,52 @@
+// storage/json-store.js - Single JSON file store for development
+//
+// Writes go to a temporary file that is fsynced and then renamed over the
+// real one, so a crash mid-write leaves the previous file intact.
+
+const fs = require('fs');
+
+// Replace `file` with `contents` without ever leaving it half written
+function writeFileAtomic(file, contents) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
+  try {
+    fs.writeSync(fd, contents);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+}
+
+function createJsonStore(file, collections) {
+  // Returns { version, ...collections } or null when there is no file yet.
+  // A file that can't be parsed is an error - starting empty would overwrite it.
+  function load() {
+    if (!fs.existsSync(file)) {
+      return null;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`${file} is not valid JSON (${error.message})`);
+    }
+
+    const result = { version: data.version || 1 };
+    Object.keys(collections).forEach(name => {
+      result[name] = data[name] || [];
+    });
+    return result;
+  }
+
+  function save(data) {
+    writeFileAtomic(file, JSON.stringify(data, null, 2));
+  }
+
+  function close() {}
+
+  return { driver: 'json', load, save, close };
+}
+
+module.exports = { createJsonStore, writeFileAtomic };
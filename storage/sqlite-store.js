@@ -0,0 +1,132 @@
+// storage/sqlite-store.js - SQLite store for production
+//
+// Records are kept as JSON documents keyed by collection and id. Each save
+// runs in one transaction and only writes records that changed since the
+// last load or save.
+
+// Schema migrations, applied in order. The database's user_version is the
+// number of migrations already applied; append new steps, never edit old ones.
+const SCHEMA_MIGRATIONS = [
+  // 1: documents and metadata
+  db => db.exec(`
+    CREATE TABLE meta (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL
+    );
+    CREATE TABLE documents (
+      collection TEXT NOT NULL,
+      id TEXT NOT NULL,
+      position INTEGER NOT NULL,
+      data TEXT NOT NULL,
+      PRIMARY KEY (collection, id)
+    );
+  `)
+];
+
+function migrateSchema(db) {
+  const current = db.pragma('user_version', { simple: true });
+
+  SCHEMA_MIGRATIONS.slice(current).forEach((migrate, index) => {
+    db.transaction(() => {
+      migrate(db);
+      db.pragma(`user_version = ${current + index + 1}`);
+    })();
+  });
+}
+
+function createSqliteStore(file, collections) {
+  // Loaded lazily so the JSON store works without the native module
+  const Database = require('better-sqlite3');
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  migrateSchema(db);
+
+  const selectVersion = db.prepare("SELECT value FROM meta WHERE key = 'data_version'");
+  const upsertVersion = db.prepare("INSERT INTO meta (key, value) VALUES ('data_version', ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value");
+  const selectDocuments = db.prepare('SELECT collection, id, position, data FROM documents ORDER BY collection, position');
+  const upsertDocument = db.prepare(`
+    INSERT INTO documents (collection, id, position, data) VALUES (?, ?, ?, ?)
+    ON CONFLICT(collection, id) DO UPDATE SET position = excluded.position, data = excluded.data
+  `);
+  const deleteDocument = db.prepare('DELETE FROM documents WHERE collection = ? AND id = ?');
+
+  // What was last read or written, per collection: id -> { position, data }
+  const written = new Map(Object.keys(collections).map(name => [name, new Map()]));
+
+  // Records without a usable id (or sharing one) fall back to their position
+  function documentIds(name, records) {
+    const keyField = collections[name];
+    const seen = new Set();
+    return records.map((record, position) => {
+      let id = record && record[keyField] !== undefined && record[keyField] !== null
+        ? String(record[keyField])
+        : `#${position}`;
+      if (seen.has(id)) {
+        id = `${id}#${position}`;
+      }
+      seen.add(id);
+      return id;
+    });
+  }
+
+  // Returns { version, ...collections } or null for a fresh database
+  function load() {
+    const versionRow = selectVersion.get();
+    const rows = selectDocuments.all();
+
+    if (!versionRow && rows.length === 0) {
+      return null;
+    }
+
+    const result = { version: versionRow ? Number(versionRow.value) : 1 };
+    Object.keys(collections).forEach(name => {
+      result[name] = [];
+      written.get(name).clear();
+    });
+
+    rows.forEach(row => {
+      if (!result[row.collection]) {
+        return; // collection no longer used
+      }
+      result[row.collection].push(JSON.parse(row.data));
+      written.get(row.collection).set(row.id, { position: row.position, data: row.data });
+    });
+
+    return result;
+  }
+
+  const save = db.transaction(data => {
+    upsertVersion.run(String(data.version));
+
+    Object.keys(collections).forEach(name => {
+      const records = data[name] || [];
+      const previous = written.get(name);
+      const next = new Map();
+
+      documentIds(name, records).forEach((id, position) => {
+        const json = JSON.stringify(records[position]);
+        const before = previous.get(id);
+        if (!before || before.position !== position || before.data !== json) {
+          upsertDocument.run(name, id, position, json);
+        }
+        next.set(id, { position, data: json });
+      });
+
+      previous.forEach((_, id) => {
+        if (!next.has(id)) {
+          deleteDocument.run(name, id);
+        }
+      });
+
+      written.set(name, next);
+    });
+  });
+
+  function close() {
+    db.close();
+  }
+
+  return { driver: 'sqlite', load, save, close };
+}
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { useServer } = require('./helpers/server');
+
+const { request } = useServer(3924, { ADMIN_API_KEY: 'test-admin-key' });
+
+const shippedFile = path.join(__dirname, '..', 'exchange-rates.json');
+
+test('rates set by an admin are used without touching the shipped defaults', async () => {
+  const shipped = fs.readFileSync(shippedFile, 'utf8');
+
+  const refused = await request('PUT', '/api/admin/exchange-rates', { body: { base: 'USD', rates: { EUR: 0.5 } } });
+  assert.equal(refused.status, 403);
+
+  const updated = await request('PUT', '/api/admin/exchange-rates', {
+    body: { base: 'usd', rates: { EUR: 0.5 } },
+    headers: { 'X-Admin-Key': 'test-admin-key' }
+  });
+  assert.equal(updated.status, 200);
+
+  const { body } = await request('GET', '/api/exchange-rates');
+  assert.deepEqual(body.rates, { EUR: 0.5, USD: 1 });
+  assert.equal(fs.readFileSync(shippedFile, 'utf8'), shipped);
+});
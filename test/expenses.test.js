@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useServer } = require('./helpers/server');
+
+const { request, signUp } = useServer(3920);
+
+let ann;
+let bob;
+let cy;
+
+test.before(async () => {
+  ann = await signUp('ann@example.com', 'Ann');
+  bob = await signUp('bob@example.com', 'Bob');
+  cy = await signUp('cy@example.com', 'Cy');
+});
+
+async function createExpense(body, user = ann) {
+  const { status, body: result } = await request('POST', '/api/expenses', { body, token: user.token });
+  assert.equal(status, 201);
+  return result.expense;
+}
+
+test('the history of a deleted expense stays readable by the people on it', async () => {
+  const expense = await createExpense({ description: 'Lunch', amount: 2000, participants: [{ name: 'Bob', email: 'bob@example.com' }] });
+  await request('PATCH', `/api/expenses/${expense.id}`, { body: { description: 'Team lunch' }, token: ann.token });
+  assert.equal((await request('DELETE', `/api/expenses/${expense.id}`, { token: ann.token })).status, 200);
+
+  for (const user of [ann, bob]) {
+    const { status, body } = await request('GET', `/api/expenses/${expense.id}/revisions`, { token: user.token });
+    assert.equal(status, 200);
+    assert.deepEqual(body.revisions.map(r => r.action), ['created', 'updated', 'deleted']);
+  }
+  assert.equal((await request('GET', `/api/expenses/${expense.id}/revisions`, { token: cy.token })).status, 404);
+});
+
+test('following nextCursor pages through every expense once, in order', async () => {
+  const dee = await signUp('dee@example.com', 'Dee');
+  const amounts = [500, 300, 300, 900, 100];
+  for (const [index, amount] of amounts.entries()) {
+    await createExpense({ description: `Item ${index}`, amount, participants: [{ name: 'Bob' }] }, dee);
+  }
+
+  const pages = [];
+  let cursor = null;
+  do {
+    const query = `?sort=amount&order=asc&limit=2${cursor ? `&cursor=${cursor}` : ''}`;
+    const { status, body } = await request('GET', `/api/expenses${query}`, { token: dee.token });
+    assert.equal(status, 200);
+    assert.equal(body.total, amounts.length);
+    pages.push(body.expenses.map(e => e.amount));
+    cursor = body.nextCursor;
+  } while (cursor);
+
+  assert.deepEqual(pages, [[100, 300], [300, 500], [900]]);
+
+  const first = await request('GET', '/api/expenses?limit=2', { token: dee.token });
+  assert.equal(first.body.expenses.length, 2);
+  const mismatched = await request('GET', `/api/expenses?sort=amount&cursor=${first.body.nextCursor}`, { token: dee.token });
+  assert.equal(mismatched.status, 400);
+  assert.equal(mismatched.body.code, 'INVALID_CURSOR');
+});
+
+test("deleting an account scrubs its entries from revisions but keeps a namesake's", async () => {
+  const eve = await signUp('eve@example.com', 'Eve');
+  const namesakes = [{ name: 'Eve', email: 'eve@example.com' }, { name: 'Eve' }];
+  const expense = await createExpense({ description: 'Dinner', amount: 3000, participants: namesakes });
+  await request('PATCH', `/api/expenses/${expense.id}`, { body: { participants: [...namesakes, { name: 'Cy' }] }, token: ann.token });
+
+  const deleted = await request('DELETE', '/api/auth/me', { body: { confirm: 'eve@example.com' }, token: eve.token });
+  assert.equal(deleted.status, 200);
+
+  const { body } = await request('GET', `/api/expenses/${expense.id}/revisions`, { token: ann.token });
+  const { from, to } = body.revisions.find(r => r.action === 'updated').changes.participants;
+  for (const list of [from, to]) {
+    assert.notEqual(list[0].name, 'Eve');
+    assert.equal(list[0].email, null);
+    assert.equal(list[1].name, 'Eve');
+  }
+});
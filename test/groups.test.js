@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useServer } = require('./helpers/server');
+
+const { request, signUp } = useServer(3925);
+
+test('an archived group cannot be renamed or have its members changed', async () => {
+  const ann = await signUp('ann@example.com', 'Ann');
+  const bob = await signUp('bob@example.com', 'Bob');
+  await signUp('cy@example.com', 'Cy');
+  const { body: created } = await request('POST', '/api/groups', { body: { name: 'Trip', members: ['bob@example.com'] }, token: ann.token });
+  const groupId = created.group.id;
+  assert.equal((await request('POST', `/api/groups/${groupId}/archive`, { token: ann.token })).status, 200);
+
+  const changes = [
+    request('PATCH', `/api/groups/${groupId}`, { body: { name: 'Renamed' }, token: ann.token }),
+    request('POST', `/api/groups/${groupId}/members`, { body: { contact: 'cy@example.com' }, token: ann.token }),
+    request('DELETE', `/api/groups/${groupId}/members/${bob.user.id}`, { token: ann.token }),
+    request('DELETE', `/api/groups/${groupId}/members/${bob.user.id}`, { token: bob.token })
+  ];
+  for (const result of await Promise.all(changes)) {
+    assert.equal(result.status, 400);
+    assert.equal(result.body.code, 'GROUP_ARCHIVED');
+  }
+
+  const { body } = await request('GET', `/api/groups/${groupId}`, { token: ann.token });
+  assert.equal(body.group.name, 'Trip');
+  assert.equal(body.group.members.length, 2);
+});
@@ -0,0 +1,83 @@
+// Runs the server on a spare port with its own data file, for tests of what
+// lives in the server's state. Call useServer() at the top of a test file; it
+// starts the server before the file's tests and stops it after them.
+const test = require('node:test');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+function useServer(port, env = {}) {
+  const base = `http://localhost:${port}`;
+  let server;
+  let dataDir;
+  // Other before() hooks in the file may run alongside this one, so requests
+  // wait for the server rather than relying on hook order
+  let started;
+  const ready = new Promise(resolve => { started = resolve; });
+
+  test.before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'splitease-test-'));
+    server = spawn(process.execPath, ['server.js'], {
+      cwd: path.join(__dirname, '..', '..'),
+      env: {
+        ...process.env,
+        NODE_ENV: 'development',
+        PORT: String(port),
+        STORAGE_DRIVER: 'json',
+        DATA_FILE: path.join(dataDir, 'data.json'),
+        RECEIPTS_DIR: path.join(dataDir, 'receipts'),
+        EXCHANGE_RATE_OVERRIDES_FILE: path.join(dataDir, 'exchange-rates.local.json'),
+        CODE_REQUESTS_PER_IP: '1000',
+        ...env
+      },
+      stdio: ['ignore', 'pipe', 'inherit']
+    });
+    await new Promise((resolve, reject) => {
+      server.on('exit', code => reject(new Error(`Server exited with ${code}`)));
+      server.stdout.on('data', chunk => {
+        if (String(chunk).includes('running')) {
+          resolve();
+        }
+      });
+    });
+    started();
+  });
+
+  test.after(() => {
+    server.removeAllListeners('exit');
+    server.kill();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  // { status, body } for a request; `body` is parsed JSON, or the text of
+  // anything else. Redirects are returned, not followed.
+  async function request(method, route, { body, token, headers = {} } = {}) {
+    await ready;
+    const response = await fetch(base + route, {
+      method,
+      redirect: 'manual',
+      headers: {
+        ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers
+      },
+      body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('json');
+    return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+  }
+
+  // A new account; development mode returns the code in the response.
+  // Resolves to the verify-code response: { token, refreshToken, user }.
+  async function signUp(email, name = 'Test') {
+    const { body: requested } = await request('POST', '/api/auth/request-code', { body: { contact: email, name, isSignup: true } });
+    const { body } = await request('POST', '/api/auth/verify-code', { body: { contact: email, code: requested.code } });
+    return body;
+  }
+
+  return { base, request, signUp };
+}
+
+module.exports = { useServer };
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, toRecords, formatCsvRow, unguardField } = require('../import-export/csv');
+const { readSplitwiseCsv } = require('../import-export/formats');
+const { useServer } = require('./helpers/server');
+
+const { request, signUp } = useServer(3921);
+
+const currencyDecimals = currency => (currency === 'JPY' ? 0 : 2);
+
+test('parseCsv reads quoted fields with commas, doubled quotes and line breaks', () => {
+  const rows = parseCsv('name,note\r\n"Smith, Ann","said ""hi""\nthen left"\n\nBob,\n');
+  assert.deepEqual(rows.map(row => [...row]), [
+    ['name', 'note'],
+    ['Smith, Ann', 'said "hi"\nthen left'],
+    ['Bob', '']
+  ]);
+  // Rows remember the line they started on, past the embedded line break
+  assert.deepEqual(rows.map(row => row.line), [1, 2, 5]);
+});
+
+test('parseCsv drops a byte order mark and rejects an unterminated quote', () => {
+  assert.deepEqual(toRecords(parseCsv('\uFEFFa,b\n1,2')).header, ['a', 'b']);
+  assert.throws(() => parseCsv('a,b\n"open,2\n'), /Unterminated quoted field starting on line 2/);
+});
+
+test('formulas are guarded on export and unguarded on import', () => {
+  assert.equal(formatCsvRow(['=SUM(A1)', '+1', '-5', '-2.50', '@cmd', 'plain']), "'=SUM(A1),'+1,-5,-2.50,'@cmd,plain\r\n");
+  const [row] = parseCsv(formatCsvRow(['=HYPERLINK("x")', 'a,b']));
+  assert.deepEqual([...row], ['\'=HYPERLINK("x")', 'a,b']);
+  assert.equal(unguardField(row[0]), '=HYPERLINK("x")');
+  assert.equal(unguardField("'hello"), "'hello");
+});
+
+const SPLITWISE = [
+  'Date,Description,Category,Cost,Currency,Ann,Bob,Cy',
+  '2026-03-01,"Dinner, downtown",Dining out,90.00,USD,60.00,-30.00,-30.00',
+  '2026-03-02,Taxi,Taxi,30.00,USD,-10.00,20.00,-10.00',
+  '2026-03-03,Bob and Cy only,General,10.00,USD,0.00,5.00,-5.00',
+  '2026-03-04,Settle up,Payment,30.00,USD,30.00,-30.00,0.00',
+  '2026-03-05,Broken,General,10.00,USD,5.00,-1.00,0.00',
+  '2026-03-06,Ramen,Dining out,3000,JPY,2000,-1000,-1000',
+  ',Total balance,,,USD,50.00,-45.00,-5.00'
+].join('\n');
+
+test('readSplitwiseCsv rebuilds who paid from each row\'s nets', () => {
+  const { records, errors, skipped } = readSplitwiseCsv(SPLITWISE, { me: 'ann', currencyDecimals });
+
+  const [dinner, taxi, ramen] = records;
+  assert.equal(dinner.description, 'Dinner, downtown');
+  assert.equal(dinner.payerAmount, 3000);
+  assert.deepEqual(dinner.participants.map(p => [p.name, p.amount]), [['Bob', 3000], ['Cy', 3000]]);
+  assert.equal(dinner.payers, null);
+
+  // Bob paid the taxi: Ann and Cy owe him their shares
+  assert.equal(taxi.payerAmount, 1000);
+  assert.deepEqual(taxi.payers, [{ participant: 0, amount: 3000 }]);
+
+  assert.equal(ramen.amount, 3000);
+  assert.equal(ramen.participants[0].amount, 1000);
+
+  assert.deepEqual(skipped, [{ line: 4, reason: 'not-involved' }, { line: 5, reason: 'payment' }]);
+  assert.deepEqual(errors.map(e => e.line), [6]);
+});
+
+test('readSplitwiseCsv needs to know which column is the importer', () => {
+  assert.throws(() => readSplitwiseCsv(SPLITWISE, { me: 'Dee', currencyDecimals }), /one of Ann, Bob, Cy/);
+});
+
+test('importing an expense under a category the importer lacks creates it', async () => {
+  const { token } = await signUp('importer@example.com', 'Ann');
+  const content = [
+    'expense_id,date,description,currency,amount,category,paid_by,payer_amount,participant,participant_amount',
+    '7,2026-03-01,Boat,USD,20.00,Sailing,Ann,10.00,Bob,10.00'
+  ].join('\n');
+
+  const dryRun = await request('POST', '/api/import', { token, body: { format: 'splitease-csv', content, dryRun: true } });
+  assert.deepEqual(dryRun.body.errors, []);
+  assert.equal(dryRun.body.imported, 1);
+  assert.deepEqual((await request('GET', '/api/categories', { token })).body.custom, []);
+
+  const imported = await request('POST', '/api/import', { token, body: { format: 'splitease-csv', content } });
+  assert.equal(imported.status, 201);
+  const { body: expenses } = await request('GET', '/api/expenses', { token });
+  assert.equal(expenses.expenses[0].category, 'sailing');
+  assert.deepEqual((await request('GET', '/api/categories', { token })).body.custom, ['sailing']);
+});
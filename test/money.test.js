@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  allocateCents,
+  calculateSplit,
+  expenseDebts,
+  linkSettlement,
+  linkPayees
+} = require('../money');
+
+const sum = values => values.reduce((a, b) => a + b, 0);
+
+test('allocateCents always adds up to the total', () => {
+  [[1000, [1, 1, 1]], [1, [1, 1]], [9999, [3, 5, 7, 11]], [0, [1, 2]], [101, [33.3, 33.3, 33.4]]]
+    .forEach(([total, weights]) => assert.equal(sum(allocateCents(total, weights)), total));
+});
+
+test('allocateCents gives leftover cents to the earliest entries on a tie', () => {
+  assert.deepEqual(allocateCents(1000, [1, 1, 1]), [334, 333, 333]);
+  assert.deepEqual(allocateCents(1001, [1, 1, 1]), [334, 334, 333]);
+  assert.deepEqual(allocateCents(2, [1, 1, 1]), [1, 1, 0]);
+});
+
+test('allocateCents gives leftover cents to the largest remainders first', () => {
+  // Exact shares 14.29, 28.57, 57.14: the second has the largest remainder
+  assert.deepEqual(allocateCents(100, [1, 2, 4]), [14, 29, 57]);
+  assert.deepEqual(allocateCents(100, [2, 1]), [67, 33]);
+});
+
+test('an equal split rounds in favour of the payer, who is listed last', () => {
+  assert.deepEqual(calculateSplit(1000, [{}, {}], 'equal'), { payerAmount: 333, participantAmounts: [334, 333] });
+  assert.deepEqual(calculateSplit(1, [{}], 'equal'), { payerAmount: 0, participantAmounts: [1] });
+});
+
+test('percentage and share splits add up to the total', () => {
+  // Exact shares 499.5, 249.75, 249.75: the two larger remainders round up
+  const byPercent = calculateSplit(999, [{ percentage: 50 }, { percentage: 25 }], 'percentage', 25);
+  assert.deepEqual(byPercent, { payerAmount: 250, participantAmounts: [499, 250] });
+
+  const byShares = calculateSplit(1000, [{ shares: 1 }, { shares: 1 }], 'shares', 1);
+  assert.equal(byShares.payerAmount + sum(byShares.participantAmounts), 1000);
+});
+
+test('splits reject amounts that do not add up', () => {
+  assert.match(calculateSplit(1000, [{ percentage: 50 }], 'percentage', 40).error, /add up to 100/);
+  assert.match(calculateSplit(1000, [{ amount: 600 }], 'amount', 300).error, /add up to the expense total/);
+  assert.match(calculateSplit(1000, [{ amount: 600.5 }], 'amount', 399.5).error, /whole numbers/);
+  assert.match(calculateSplit(1000, [{ shares: 0 }], 'shares', 0).error, /greater than 0/);
+});
+
+test('an itemized split shares items and spreads tax and tip by subtotal', () => {
+  const split = calculateSplit(1300, [{}, {}], 'itemized', null, {
+    items: [
+      { description: 'Pizza', amount: 900, assignedTo: [0, 1, 'payer'] },
+      { description: 'Wine', amount: 200, assignedTo: [1] }
+    ],
+    tax: 100,
+    tip: 100
+  });
+  assert.deepEqual(split.participantAmounts, [354, 592]);
+  assert.equal(split.payerAmount, 354);
+  assert.deepEqual(split.breakdown[1], { subtotal: 500, tax: 46, tip: 46 });
+
+  assert.match(calculateSplit(1000, [{}], 'itemized', null, { items: [{ description: 'A', amount: 900, assignedTo: [0] }] }).error, /add up/);
+});
+
+test('with one payer who logged it, each participant owes them their share', () => {
+  const debts = expenseDebts([300, 300], 400, [{ participant: 'me', amount: 1000 }]);
+  assert.deepEqual(debts.get(0), [{ participant: 'me', amount: 300 }]);
+  assert.deepEqual(debts.get(1), [{ participant: 'me', amount: 300 }]);
+  assert.deepEqual(debts.get('me'), []);
+});
+
+test('when a participant paid, the person who logged it owes them too', () => {
+  const debts = expenseDebts([300, 300], 300, [{ participant: 0, amount: 900 }]);
+  assert.deepEqual(debts.get(0), []);
+  assert.deepEqual(debts.get(1), [{ participant: 0, amount: 300 }]);
+  assert.deepEqual(debts.get('me'), [{ participant: 0, amount: 300 }]);
+});
+
+test('debts fill several payers in the order they are listed', () => {
+  // Shares of 30 each; Ann paid 60 and Bob 30, so Cy owes Ann 30
+  const debts = expenseDebts([3000, 3000], 3000, [{ participant: 'me', amount: 6000 }, { participant: 0, amount: 3000 }]);
+  assert.deepEqual(debts.get(1), [{ participant: 'me', amount: 3000 }]);
+  assert.deepEqual(debts.get(0), []);
+
+  // Bob is owed 20 and Dee 40. Cy's 50 fills Bob first, then goes to Dee,
+  // and the 10 owed by the person who logged it goes to Dee as well.
+  const split = expenseDebts([1000, 5000, 1000], 1000, [{ participant: 0, amount: 3000 }, { participant: 2, amount: 5000 }]);
+  assert.deepEqual(split.get(1), [{ participant: 0, amount: 2000 }, { participant: 2, amount: 3000 }]);
+  assert.deepEqual(split.get('me'), [{ participant: 2, amount: 1000 }]);
+  const owed = [...split.values()].flat().reduce((total, debt) => total + debt.amount, 0);
+  assert.equal(owed, 6000);
+});
+
+test('linkSettlement ignores refunded payments and counts forgiven amounts', () => {
+  const link = {
+    amount: 1000,
+    payments: [
+      { type: 'payment', amount: 400 },
+      { type: 'payment', amount: 300, refundedAt: '2026-01-02T00:00:00.000Z' },
+      { type: 'forgiven', amount: 100 }
+    ]
+  };
+  assert.deepEqual(linkSettlement(link), { amountPaid: 400, amountForgiven: 100, remaining: 500, status: 'partial' });
+  assert.equal(linkSettlement({ amount: 1000 }).status, 'unpaid');
+  assert.equal(linkSettlement({ amount: 1000, payments: [{ type: 'cash', amount: 1000 }] }).status, 'paid');
+});
+
+test('linkPayees settles payees in order, payments before forgiven amounts', () => {
+  const link = {
+    amount: 1000,
+    payTo: [{ participant: 'me', amount: 600 }, { participant: 1, amount: 400 }],
+    payments: [{ type: 'payment', amount: 500 }, { type: 'forgiven', amount: 300 }]
+  };
+  assert.deepEqual(linkPayees(link).map(({ participant, amountPaid, amountForgiven, remaining }) => ({ participant, amountPaid, amountForgiven, remaining })), [
+    { participant: 'me', amountPaid: 500, amountForgiven: 100, remaining: 0 },
+    { participant: 1, amountPaid: 0, amountForgiven: 200, remaining: 200 }
+  ]);
+});
+
+test('linkPayees counts a settlement a payee recorded towards their own part', () => {
+  const link = {
+    amount: 1000,
+    payTo: [{ participant: 'me', amount: 600 }, { participant: 1, amount: 400 }],
+    payments: [{ type: 'cash', amount: 400, payee: 1 }, { type: 'payment', amount: 100 }]
+  };
+  assert.deepEqual(linkPayees(link).map(({ participant, amountPaid, remaining }) => ({ participant, amountPaid, remaining })), [
+    { participant: 'me', amountPaid: 100, remaining: 500 },
+    { participant: 1, amountPaid: 400, remaining: 0 }
+  ]);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useServer } = require('./helpers/server');
+
+const { request, signUp } = useServer(3918);
+
+let ann;
+let bob;
+let cy;
+let dee;
+
+test.before(async () => {
+  ann = await signUp('ann@example.com', 'Ann');
+  bob = await signUp('bob@example.com', 'Bob');
+  cy = await signUp('cy@example.com', 'Cy');
+  dee = await signUp('dee@example.com', 'Dee');
+});
+
+const people = ['Bob', 'Cy', 'Dee'].map(name => ({ name, email: `${name.toLowerCase()}@example.com` }));
+
+async function createExpense(body) {
+  const { status, body: result } = await request('POST', '/api/expenses', { body, token: ann.token });
+  assert.equal(status, 201);
+  return result.expense;
+}
+
+const settle = (linkId, user, body) =>
+  request('POST', `/api/payment-links/${linkId}/settlements`, { body, token: user.token });
+
+test('whoever logged an expense someone else paid cannot settle their own debt', async () => {
+  // Bob paid; Ann logged it and holds a link for her share
+  const expense = await createExpense({
+    description: 'Taxi',
+    amount: 9000,
+    participants: people.slice(0, 2),
+    payers: [{ participant: 0, amount: 9000 }]
+  });
+  const annLink = expense.paidBy.paymentLink;
+  assert.ok(annLink);
+
+  for (const route of ['settlements', 'revoke', 'regenerate']) {
+    const result = await request('POST', `/api/payment-links/${annLink}/${route}`, { body: { type: 'forgiven' }, token: ann.token });
+    assert.equal(result.status, 404, route);
+  }
+  // Cy owes on the expense too, but Ann's link doesn't pay him
+  assert.equal((await settle(annLink, cy, { type: 'forgiven' })).status, 404);
+
+  const { body: details } = await request('GET', `/api/payment-links/${annLink}`);
+  assert.equal(details.paymentDetails.remaining, 3000);
+});
+
+test('a participant who paid can settle, revoke and regenerate the links that pay them', async () => {
+  const expense = await createExpense({
+    description: 'Taxi',
+    amount: 9000,
+    participants: people.slice(0, 2),
+    payers: [{ participant: 0, amount: 9000 }]
+  });
+  const cyLink = expense.participants[1].paymentLink;
+
+  const cash = await settle(cyLink, bob, { type: 'cash' });
+  assert.equal(cash.status, 201);
+  assert.equal(cash.body.status, 'paid');
+
+  const forgiven = await settle(expense.paidBy.paymentLink, bob, { type: 'forgiven', amount: 1000 });
+  assert.equal(forgiven.status, 201);
+  assert.equal(forgiven.body.remaining, 2000);
+
+  const regenerated = await request('POST', `/api/payment-links/${expense.paidBy.paymentLink}/regenerate`, { token: bob.token });
+  assert.equal(regenerated.status, 201);
+  const revoked = await request('POST', `/api/payment-links/${regenerated.body.paymentLink.id}/revoke`, { token: bob.token });
+  assert.equal(revoked.status, 200);
+});
+
+test('a payee settles only their own part of a link that pays several people', async () => {
+  // Cy owes 50: 20 to Bob and 30 to Dee
+  const expense = await createExpense({
+    description: 'Cabin',
+    amount: 8000,
+    splitType: 'amount',
+    payerShare: 1000,
+    participants: [{ ...people[0], amount: 1000 }, { ...people[1], amount: 5000 }, { ...people[2], amount: 1000 }],
+    payers: [{ participant: 0, amount: 3000 }, { participant: 2, amount: 5000 }]
+  });
+  const cyLink = expense.participants[1].paymentLink;
+
+  const cash = await settle(cyLink, dee, { type: 'cash' });
+  assert.equal(cash.status, 201);
+  assert.equal(cash.body.settlement.amount, 3000);
+  assert.equal((await settle(cyLink, dee, { type: 'cash' })).body.code, 'ALREADY_PAID');
+  assert.equal((await settle(cyLink, bob, { type: 'forgiven', amount: 2500 })).body.code, 'AMOUNT_EXCEEDS_BALANCE');
+
+  const { body: details } = await request('GET', `/api/payment-links/${cyLink}`);
+  assert.deepEqual(details.paymentDetails.payTo, [
+    { name: 'Bob', amount: 2000, remaining: 2000 },
+    { name: 'Dee', amount: 3000, remaining: 0 }
+  ]);
+});
+
+test('the public view of a link shows only the amount, type and date of each payment', async () => {
+  const expense = await createExpense({ description: 'Lunch', amount: 4000, participants: [people[0]] });
+  const bobLink = expense.participants[0].paymentLink;
+  await request('POST', `/api/payment-links/${bobLink}/settlements`, { body: { type: 'cash', amount: 1000, note: 'Paid at the bar' }, token: ann.token });
+
+  const { body } = await request('GET', `/api/payment-links/${bobLink}`);
+  assert.equal(body.paymentDetails.payments.length, 1);
+  const [payment] = body.paymentDetails.payments;
+  assert.deepEqual(Object.keys(payment).sort(), ['amount', 'createdAt', 'type']);
+  assert.equal(payment.amount, 1000);
+  assert.equal(payment.type, 'cash');
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { firstOccurrenceOnOrAfter, duePeriods, addDays, formatDateOnly } = require('../recurring');
+const { useServer } = require('./helpers/server');
+
+const { request, signUp } = useServer(3919);
+
+const weekly = (startDate, interval = 1) => ({ startDate, schedule: { frequency: 'weekly', interval } });
+const monthly = (startDate, dayOfMonth, interval = 1) => ({ startDate, schedule: { frequency: 'monthly', interval, dayOfMonth } });
+
+test('weekly schedules step from the start date', () => {
+  const template = weekly('2026-01-05', 2);
+  assert.equal(firstOccurrenceOnOrAfter(template, '2025-12-01'), '2026-01-05');
+  assert.equal(firstOccurrenceOnOrAfter(template, '2026-01-05'), '2026-01-05');
+  assert.equal(firstOccurrenceOnOrAfter(template, '2026-01-06'), '2026-01-19');
+  assert.equal(firstOccurrenceOnOrAfter(template, '2026-01-19'), '2026-01-19');
+});
+
+test('monthly schedules fall back to the last day of shorter months', () => {
+  const template = monthly('2026-01-31', 31);
+  assert.equal(firstOccurrenceOnOrAfter(template, '2026-02-01'), '2026-02-28');
+  assert.equal(firstOccurrenceOnOrAfter(template, '2026-03-01'), '2026-03-31');
+  assert.equal(firstOccurrenceOnOrAfter(template, '2028-02-01'), '2028-02-29');
+  assert.equal(firstOccurrenceOnOrAfter(monthly('2026-01-15', 15, 3), '2026-01-16'), '2026-04-15');
+});
+
+test('duePeriods lists the periods up to today and stops at the end date', () => {
+  const template = { ...weekly('2026-01-01'), nextDate: '2026-01-08', endDate: '2026-01-29' };
+  assert.deepEqual(duePeriods(template, '2026-01-22', 10), ['2026-01-08', '2026-01-15', '2026-01-22']);
+  assert.deepEqual(duePeriods(template, '2026-12-31', 10), ['2026-01-08', '2026-01-15', '2026-01-22', '2026-01-29']);
+  assert.deepEqual(duePeriods(template, '2026-01-07', 10), []);
+});
+
+test('duePeriods catches up at most `limit` periods at a time', () => {
+  const template = { ...weekly('1900-01-01'), nextDate: '1900-01-01', endDate: null };
+  assert.deepEqual(duePeriods(template, '2026-01-01', 3), ['1900-01-01', '1900-01-08', '1900-01-15']);
+});
+
+test('a new template generates the periods since its start date', async () => {
+  const { token } = await signUp('recurring@example.com', 'Ann');
+  const today = formatDateOnly(new Date());
+  const body = {
+    description: 'Cleaner',
+    amount: 4000,
+    participants: [{ name: 'Bob' }],
+    schedule: { frequency: 'weekly' },
+    startDate: addDays(today, -21)
+  };
+
+  const created = await request('POST', '/api/recurring-expenses', { body, token });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.recurringExpense.lastPeriod, today);
+  assert.equal(created.body.recurringExpense.nextDate, addDays(today, 7));
+
+  const { body: generated } = await request('GET', `/api/recurring-expenses/${created.body.recurringExpense.id}`, { token });
+  assert.deepEqual(generated.expenses.map(e => e.expenseDate), [21, 14, 7, 0].map(days => addDays(today, -days)));
+});
+
+test('templates cannot start further back than the catch-up window', async () => {
+  const { token } = await signUp('backdated@example.com', 'Ann');
+  const result = await request('POST', '/api/recurring-expenses', {
+    token,
+    body: { description: 'Rent', amount: 1000, participants: [{ name: 'Bob' }], schedule: { frequency: 'weekly' }, startDate: '1900-01-01' }
+  });
+  assert.equal(result.status, 400);
+  assert.match(result.body.error, /at most 90 days ago/);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useServer } = require('./helpers/server');
+
+const { request, signUp } = useServer(3923);
+
+const refresh = refreshToken => request('POST', '/api/auth/refresh', { body: { refreshToken } });
+
+test('each refresh hands out a new refresh token and retires the old one', async () => {
+  const login = await signUp('rotate@example.com', 'Ann');
+
+  const first = await refresh(login.refreshToken);
+  assert.equal(first.status, 200);
+  assert.notEqual(first.body.refreshToken, login.refreshToken);
+
+  const second = await refresh(first.body.refreshToken);
+  assert.equal(second.status, 200);
+  assert.equal((await request('GET', '/api/auth/me', { token: second.body.token })).status, 200);
+});
+
+test('reusing a rotated refresh token revokes the session', async () => {
+  const login = await signUp('reuse@example.com', 'Ann');
+  const rotated = await refresh(login.refreshToken);
+  assert.equal(rotated.status, 200);
+
+  // Someone replays the old token, as a thief holding a copy would
+  const replay = await refresh(login.refreshToken);
+  assert.equal(replay.status, 401);
+  assert.equal(replay.body.code, 'REFRESH_TOKEN_INVALID');
+
+  // The legitimate holder's newer tokens stop working as well
+  const after = await refresh(rotated.body.refreshToken);
+  assert.equal(after.status, 401);
+  assert.equal(after.body.code, 'SESSION_ENDED');
+  assert.equal((await request('GET', '/api/auth/me', { token: rotated.body.token })).status, 401);
+});
+
+test('an unknown refresh token is refused', async () => {
+  const result = await refresh('not-a-token');
+  assert.equal(result.status, 401);
+  assert.equal(result.body.code, 'REFRESH_TOKEN_INVALID');
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const schema = require('../api/schema');
+const { validate } = require('../api/validate');
+
+const { object, string, integer, boolean, array, anyOf, nullable, validateValue } = schema;
+
+const messages = (...args) => validateValue(...args).map(error => error.message);
+
+test('query and path text is read as the type the schema asks for', () => {
+  const query = object({ limit: integer({ minimum: 1 }), dryRun: boolean(), tag: array(string()) });
+  assert.deepEqual(messages(query, { limit: '5', dryRun: 'true', tag: 'food' }, 'query', { coerceText: true }), []);
+  assert.deepEqual(messages(query, { limit: '0' }, 'query', { coerceText: true }), ['query.limit must be at least 1']);
+  assert.deepEqual(messages(query, { limit: '5x' }, 'query', { coerceText: true }), ['query.limit must be a whole number']);
+  assert.deepEqual(messages(query, { dryRun: 'yes' }, 'query', { coerceText: true }), ['query.dryRun must be true or false']);
+
+  // JSON bodies are not coerced
+  assert.deepEqual(messages(query, { limit: '5' }, 'body'), ['body.limit must be a whole number']);
+});
+
+test('anyOf passes when one option does and reports its description otherwise', () => {
+  const code = anyOf([string({ pattern: '^\\d{6}$' }), integer()], { description: 'the 6-digit code' });
+  assert.deepEqual(messages(code, '123456', 'body.code'), []);
+  assert.deepEqual(messages(code, 123456, 'body.code'), []);
+  assert.deepEqual(messages(code, '12345a', 'body.code'), ['body.code must be the 6-digit code']);
+  assert.deepEqual(messages(anyOf([integer(), boolean()]), 'x', 'v'), ['v is not in an accepted form']);
+});
+
+test('objects check required and nested properties, and can refuse unknown ones', () => {
+  const person = object({ name: string(), tags: array(string({ maxLength: 3 }), { maxItems: 2 }) }, { required: ['name'] });
+  assert.deepEqual(messages(person, { tags: ['a', 'long'] }, 'body'), [
+    'body.name is required',
+    'body.tags[1] must be at most 3 characters'
+  ]);
+
+  const strict = object({ name: string() }, { additionalProperties: false });
+  assert.deepEqual(messages(strict, { name: 'Ann', admin: true }, 'body'), ['body.admin is not allowed']);
+  assert.deepEqual(messages(person, { name: 'Ann', admin: true }, 'body'), []);
+});
+
+test('minLength ignores surrounding whitespace', () => {
+  assert.deepEqual(messages(string({ minLength: 1 }), '   ', 'body.name'), ['body.name must not be empty']);
+  assert.deepEqual(messages(string({ minLength: 2 }), ' a ', 'body.name'), ['body.name must be at least 2 characters']);
+  assert.deepEqual(messages(string({ minLength: 1 }), ' a ', 'body.name'), []);
+});
+
+test('nullable types and formats', () => {
+  assert.deepEqual(messages(nullable(string({ format: 'email' })), null, 'body.email'), []);
+  assert.deepEqual(messages(nullable(string({ format: 'email' })), 'ann@', 'body.email'), ['body.email must be a valid email']);
+  assert.deepEqual(messages(schema.dateOnly, '2026-13-01', 'query.from'), ['query.from must be a valid date']);
+  assert.deepEqual(messages(string({ enum: ['csv', 'json'] }), 'xml', 'query.format'), ['query.format must be one of: csv, json']);
+});
+
+test('validate() rejects a request with VALIDATION_FAILED and every problem listed', () => {
+  const middleware = validate({
+    params: object({ id: string({ minLength: 1 }) }, { required: ['id'] }),
+    body: object({ amount: integer({ minimum: 1 }), note: string() }, { required: ['amount'] })
+  });
+  const run = req => {
+    let result;
+    middleware(req, {}, error => { result = error; });
+    return result;
+  };
+
+  const error = run({ params: { id: '1' }, body: { note: 5 } });
+  assert.equal(error.status, 400);
+  assert.equal(error.code, 'VALIDATION_FAILED');
+  assert.deepEqual(error.extra.details.map(d => d.path), ['body.amount', 'body.note']);
+
+  // A request without a JSON body is checked as an empty one
+  const req = { params: { id: '1' } };
+  assert.equal(run(req).extra.details[0].path, 'body.amount');
+  assert.deepEqual(req.body, {});
+
+  assert.equal(run({ params: { id: '1' }, body: { amount: 1 } }), undefined);
+});
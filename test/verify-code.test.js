@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useServer } = require('./helpers/server');
+
+const { request } = useServer(3917);
+
+const post = (route, body) => request('POST', route, { body });
+
+// A code for a new account; development mode returns it in the response
+async function requestCode(contact) {
+  const { body } = await post('/api/auth/request-code', { contact, name: 'Test', isSignup: true });
+  return body.code;
+}
+
+const wrongCode = code => (code === '000000' ? '111111' : '000000');
+
+test('wrong codes lock the code after the allowed attempts', async () => {
+  const code = await requestCode('lockout@example.com');
+  const results = [];
+  for (let i = 0; i < 6; i++) {
+    results.push(await post('/api/auth/verify-code', { contact: 'lockout@example.com', code: wrongCode(code) }));
+  }
+  assert.deepEqual(results.map(r => r.body.attemptsRemaining), [4, 3, 2, 1, 0, undefined]);
+  assert.equal(results[5].status, 429);
+  assert.equal(results[5].body.code, 'CODE_LOCKED');
+
+  const right = await post('/api/auth/verify-code', { contact: 'lockout@example.com', code });
+  assert.equal(right.status, 429);
+});
+
+test('guesses sent side by side cannot get past the lockout', async () => {
+  const code = await requestCode('parallel@example.com');
+  const results = await Promise.all(Array.from({ length: 20 }, () =>
+    post('/api/auth/verify-code', { contact: 'parallel@example.com', code: wrongCode(code) })
+  ));
+  assert.equal(results.filter(r => r.body.code === 'CODE_INVALID').length, 5);
+  assert.equal(results.filter(r => r.status === 429).length, 15);
+});
+
+test('the right code on the last allowed attempt still logs in', async () => {
+  const code = await requestCode('last-try@example.com');
+  for (let i = 0; i < 4; i++) {
+    await post('/api/auth/verify-code', { contact: 'last-try@example.com', code: wrongCode(code) });
+  }
+  const right = await post('/api/auth/verify-code', { contact: 'last-try@example.com', code });
+  assert.equal(right.status, 200);
+  assert.ok(right.body.token);
+});
+
+test('a malformed contact is refused as INVALID_CONTACT', async () => {
+  for (const contact of ['not a contact', 'ann@', '+1', '12']) {
+    const result = await post('/api/auth/verify-code', { contact, code: '123456' });
+    assert.equal(result.status, 400, contact);
+    assert.equal(result.body.code, 'INVALID_CONTACT', contact);
+  }
+  const wrongType = await post('/api/auth/verify-code', { contact: 12345, code: '123456' });
+  assert.equal(wrongType.body.code, 'VALIDATION_FAILED');
+});
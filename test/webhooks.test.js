@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { useServer } = require('./helpers/server');
+
+const SECRET = 'webhook-test-secret';
+const { request, signUp } = useServer(3922, { PAYMENT_WEBHOOK_SECRET: SECRET });
+
+let ann;
+
+test.before(async () => {
+  ann = await signUp('ann@example.com', 'Ann');
+});
+
+// An event from the mock provider, signed as it signs them
+function webhook(type, sessionId, { id = `evt_${crypto.randomBytes(8).toString('hex')}`, secret = SECRET } = {}) {
+  const body = JSON.stringify({ id, type, data: { sessionId } });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return request('POST', '/api/webhooks/payments/mock', {
+    body,
+    headers: { 'Content-Type': 'application/json', 'x-mock-signature': `t=${timestamp},v1=${signature}` }
+  });
+}
+
+// A 20.00 link for Bob with a checkout started on it
+async function startCheckout() {
+  const { body } = await request('POST', '/api/expenses', {
+    body: { description: 'Tickets', amount: 4000, participants: [{ name: 'Bob', email: 'bob@example.com' }] },
+    token: ann.token
+  });
+  const linkId = body.expense.participants[0].paymentLink;
+  const { body: started } = await request('POST', `/api/payment-links/${linkId}/pay`, { body: {} });
+  const sessionId = started.checkout.url.split('/').pop();
+  return { linkId, checkout: started.checkout, sessionId };
+}
+
+const linkPayments = linkId => request('GET', `/api/payment-links/${linkId}/payments`, { token: ann.token });
+
+test('a webhook with a bad signature is refused and changes nothing', async () => {
+  const { checkout, sessionId } = await startCheckout();
+
+  const forged = await webhook('payment.succeeded', sessionId, { secret: 'not-the-secret' });
+  assert.equal(forged.status, 400);
+  assert.equal(forged.body.code, 'INVALID_SIGNATURE');
+
+  const unsigned = await request('POST', '/api/webhooks/payments/mock', { body: { id: 'evt_1', type: 'payment.succeeded', data: { sessionId } } });
+  assert.equal(unsigned.body.code, 'INVALID_SIGNATURE');
+
+  const { body } = await request('GET', `/api/checkouts/${checkout.id}`);
+  assert.equal(body.checkout.status, 'pending');
+});
+
+test('an event delivered twice is applied once', async () => {
+  const { linkId, sessionId } = await startCheckout();
+
+  const first = await webhook('payment.succeeded', sessionId, { id: 'evt_twice' });
+  assert.equal(first.body.applied, true);
+  const again = await webhook('payment.succeeded', sessionId, { id: 'evt_twice' });
+  assert.equal(again.body.duplicate, true);
+  // A different event moving the checkout the same way is ignored too
+  const late = await webhook('payment.succeeded', sessionId);
+  assert.equal(late.body.applied, false);
+
+  const { body } = await linkPayments(linkId);
+  assert.equal(body.payments.length, 1);
+  assert.equal(body.status, 'paid');
+});
+
+test('checkouts move from pending to failed, and can still succeed after', async () => {
+  const { checkout, sessionId } = await startCheckout();
+
+  assert.equal((await webhook('payment.failed', sessionId)).body.status, 'failed');
+  // Only a successful checkout can be refunded
+  assert.equal((await webhook('payment.refunded', sessionId)).body.applied, false);
+  assert.equal((await webhook('payment.succeeded', sessionId)).body.status, 'succeeded');
+
+  const { body } = await request('GET', `/api/checkouts/${checkout.id}`);
+  assert.equal(body.checkout.status, 'succeeded');
+});
+
+test('a refund lands on the link that replaced the one that was paid', async () => {
+  const { linkId, sessionId } = await startCheckout();
+  await webhook('payment.succeeded', sessionId);
+
+  const { body: regenerated } = await request('POST', `/api/payment-links/${linkId}/regenerate`, { token: ann.token });
+  const newLinkId = regenerated.paymentLink.id;
+  assert.equal((await linkPayments(newLinkId)).body.status, 'paid');
+
+  const refunded = await webhook('payment.refunded', sessionId);
+  assert.equal(refunded.body.status, 'refunded');
+
+  const { body } = await linkPayments(newLinkId);
+  assert.equal(body.status, 'unpaid');
+  assert.equal(body.remaining, 2000);
+  assert.ok(body.payments[0].refundedAt);
+});